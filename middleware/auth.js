@@ -9,6 +9,9 @@ const authMiddleware = (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.guest) {
+      return res.status(401).json({ message: 'A user account is required' });
+    }
     req.userId = decoded.userId;
     next();
   } catch (error) {
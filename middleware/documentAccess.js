@@ -0,0 +1,34 @@
+const { Document } = require('../models/Document');
+const { can, getDocumentRole, getShareLinkRole } = require('../utils/permissions');
+
+// Require the authenticated user (or share link guest) to be allowed `action`
+// on document :id. Sets req.documentRole for the route handler.
+const requireDocumentAccess = (action) => async (req, res, next) => {
+  try {
+    const document = await Document.findByPk(req.params.id, { attributes: ['id'] });
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const role = req.shareLinkId
+      ? await getShareLinkRole(req.shareLinkId, document.id)
+      : await getDocumentRole(document.id, req.userId);
+
+    if (!role) {
+      return res.status(403).json({ message: 'You do not have access to this document' });
+    }
+
+    if (!can(role, action)) {
+      return res.status(403).json({ message: `Your role (${role}) does not allow this action` });
+    }
+
+    req.documentRole = role;
+    next();
+  } catch (error) {
+    console.error('Document access error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = requireDocumentAccess;
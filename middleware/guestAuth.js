@@ -0,0 +1,26 @@
+const jwt = require('jsonwebtoken');
+
+// Like authMiddleware, but also accepts the guest tokens issued when a share
+// link is opened. Guests have no req.userId; req.shareLinkId is set instead.
+const guestAuthMiddleware = (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ message: 'No authentication token, access denied' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.guest) {
+      req.userId = null;
+      req.shareLinkId = decoded.shareLinkId;
+    } else {
+      req.userId = decoded.userId;
+    }
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+module.exports = guestAuthMiddleware;
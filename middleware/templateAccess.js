@@ -0,0 +1,29 @@
+const { Template } = require('../models/Template');
+const { can } = require('../utils/permissions');
+const { getTemplateRole } = require('../utils/templates');
+
+// Require the user's role on template :templateId (see utils/templates) to
+// allow `action`. Templates the user cannot see are reported as missing.
+// Sets req.template and req.templateRole.
+const requireTemplateAccess = (action) => async (req, res, next) => {
+  try {
+    const template = await Template.findByPk(req.params.templateId);
+    const role = template ? await getTemplateRole(template, req.userId) : null;
+    if (!role) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!can(role, action)) {
+      return res.status(403).json({ message: `Your role (${role}) does not allow this action` });
+    }
+
+    req.template = template;
+    req.templateRole = role;
+    next();
+  } catch (error) {
+    console.error('Template access error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = requireTemplateAccess;
@@ -0,0 +1,32 @@
+const multer = require('multer');
+
+// Largest accepted upload, per file
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE },
+  // Browsers send UTF-8 file names
+  defParamCharset: 'utf8'
+});
+
+// Accept up to maxCount multipart files in `field` (kept in memory as
+// req.files). Too many or too large files are rejected with 400.
+const uploadFiles = (field, maxCount) => (req, res, next) => {
+  upload.array(field, maxCount)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files must be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`
+        : error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Upload at most ${maxCount} files in the "${field}" field`
+          : error.message;
+      return res.status(400).json({ message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+module.exports = uploadFiles;
@@ -0,0 +1,62 @@
+const { Workspace, Folder } = require('../models/Workspace');
+const { can, getContainerRole } = require('../utils/permissions');
+
+function deny(res, role) {
+  if (!role) {
+    return res.status(403).json({ message: 'You do not have access to this workspace' });
+  }
+  return res.status(403).json({ message: `Your role (${role}) does not allow this action` });
+}
+
+// Require the user's workspace role to allow `action` on workspace
+// :workspaceId. Sets req.workspace and req.workspaceRole.
+const requireWorkspaceAccess = (action) => async (req, res, next) => {
+  try {
+    const workspace = await Workspace.findByPk(req.params.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const role = await getContainerRole(workspace.id, null, req.userId);
+    if (!can(role, action)) {
+      return deny(res, role);
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    console.error('Workspace access error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Require the user's role on folder :folderId of workspace :workspaceId
+// (inherited from the workspace and parent folders) to allow `action`.
+// Sets req.workspace, req.folder and req.folderRole.
+const requireFolderAccess = (action) => async (req, res, next) => {
+  try {
+    const folder = await Folder.findOne({
+      where: { id: req.params.folderId, workspaceId: req.params.workspaceId },
+      include: [{ model: Workspace }]
+    });
+    if (!folder) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    const role = await getContainerRole(folder.workspaceId, folder.id, req.userId);
+    if (!can(role, action)) {
+      return deny(res, role);
+    }
+
+    req.workspace = folder.Workspace;
+    req.folder = folder;
+    req.folderRole = role;
+    next();
+  } catch (error) {
+    console.error('Folder access error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { requireWorkspaceAccess, requireFolderAccess };
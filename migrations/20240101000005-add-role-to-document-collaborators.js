@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('document_collaborators', 'role', {
+      type: Sequelize.ENUM('owner', 'editor', 'commenter', 'viewer'),
+      allowNull: false,
+      defaultValue: 'viewer'
+    });
+
+    // Existing documents have no owner; use the author of the initial version
+    await queryInterface.sequelize.query(`
+      INSERT INTO document_collaborators ("documentId", "userId", role)
+      SELECT DISTINCT ON (v."documentId") v."documentId", v."updatedById", 'owner'
+      FROM document_versions v
+      WHERE NOT EXISTS (
+        SELECT 1 FROM document_collaborators c WHERE c."documentId" = v."documentId"
+      )
+      ORDER BY v."documentId", v."createdAt" ASC
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('document_collaborators', 'role');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_document_collaborators_role";');
+  }
+};
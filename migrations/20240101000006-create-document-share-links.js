@@ -0,0 +1,74 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('document_share_links', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      documentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'documents',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      role: {
+        type: Sequelize.ENUM('editor', 'viewer'),
+        allowNull: false,
+        defaultValue: 'viewer'
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      maxUses: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      useCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdById: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('document_share_links', ['documentId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('document_share_links');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_document_share_links_role";');
+  }
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+// Version patches as utils/versionPatch encoded them when this migration was
+// written, copied so later changes there cannot change what it does.
+// A patch is [position, deleteCount, insertText].
+
+// Store a full snapshot (keyframe) at least this often
+const KEYFRAME_INTERVAL = 50;
+
+function createPatch(oldContent, newContent) {
+  const oldText = oldContent || '';
+  const newText = newContent || '';
+
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return [prefix, oldText.length - prefix - suffix, newText.slice(prefix, newText.length - suffix)];
+}
+
+function applyPatch(content, patch) {
+  const [position, deleteCount, text] = patch;
+  return content.slice(0, position) + text + content.slice(position + deleteCount);
+}
+
+// Decide how to store a version given the previous version's content and
+// how many patches have been stored since the last snapshot.
+// Returns { isSnapshot, content, patch } ready to be written.
+function encodeVersion(previousContent, content, patchesSinceSnapshot) {
+  if (previousContent === null || previousContent === undefined || patchesSinceSnapshot >= KEYFRAME_INTERVAL - 1) {
+    return { isSnapshot: true, content, patch: null };
+  }
+
+  const patch = createPatch(previousContent, content);
+  // A patch that rewrites most of the document is no smaller than a snapshot
+  if (patch[2].length > content.length / 2 && content.length > 0) {
+    return { isSnapshot: true, content, patch: null };
+  }
+  return { isSnapshot: false, content: null, patch };
+}
+
+// Rebuild the content of every version in a chain ordered oldest first.
+// The chain must start with a snapshot.
+function decodeChain(rows) {
+  const contents = [];
+  let content = null;
+  for (const row of rows) {
+    if (row.isSnapshot) {
+      content = row.content || '';
+    } else {
+      if (content === null) {
+        throw new Error(`Version ${row.id} has no snapshot to apply its patch to`);
+      }
+      content = applyPatch(content, row.patch);
+    }
+    contents.push(content);
+  }
+  return contents;
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('document_versions', 'isSnapshot', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    });
+    await queryInterface.addColumn('document_versions', 'patch', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+    await queryInterface.changeColumn('document_versions', 'content', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    // Re-encode every document's existing versions as snapshots plus patches
+    const [documents] = await queryInterface.sequelize.query(
+      'SELECT DISTINCT "documentId" FROM document_versions'
+    );
+
+    for (const { documentId } of documents) {
+      await queryInterface.sequelize.transaction(async (transaction) => {
+        const [rows] = await queryInterface.sequelize.query(
+          'SELECT id, content FROM document_versions WHERE "documentId" = :documentId ORDER BY id ASC',
+          { replacements: { documentId }, transaction }
+        );
+
+        let previousContent = null;
+        let patchesSinceSnapshot = -1;
+        for (const row of rows) {
+          const encoded = encodeVersion(previousContent, row.content || '', patchesSinceSnapshot);
+          patchesSinceSnapshot = encoded.isSnapshot ? 0 : patchesSinceSnapshot + 1;
+          previousContent = row.content || '';
+
+          if (!encoded.isSnapshot) {
+            await queryInterface.sequelize.query(
+              'UPDATE document_versions SET "isSnapshot" = false, content = NULL, patch = :patch WHERE id = :id',
+              { replacements: { id: row.id, patch: JSON.stringify(encoded.patch) }, transaction }
+            );
+          }
+        }
+      });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Restore full content on every row before dropping the patch columns
+    const [documents] = await queryInterface.sequelize.query(
+      'SELECT DISTINCT "documentId" FROM document_versions'
+    );
+
+    for (const { documentId } of documents) {
+      await queryInterface.sequelize.transaction(async (transaction) => {
+        const [rows] = await queryInterface.sequelize.query(
+          'SELECT id, content, "isSnapshot", patch FROM document_versions WHERE "documentId" = :documentId ORDER BY id ASC',
+          { replacements: { documentId }, transaction }
+        );
+
+        const contents = decodeChain(rows);
+        for (let i = 0; i < rows.length; i++) {
+          if (!rows[i].isSnapshot) {
+            await queryInterface.sequelize.query(
+              'UPDATE document_versions SET content = :content WHERE id = :id',
+              { replacements: { id: rows[i].id, content: contents[i] }, transaction }
+            );
+          }
+        }
+      });
+    }
+
+    await queryInterface.removeColumn('document_versions', 'patch');
+    await queryInterface.removeColumn('document_versions', 'isSnapshot');
+    await queryInterface.changeColumn('document_versions', 'content', {
+      type: Sequelize.TEXT,
+      allowNull: false
+    });
+  }
+};
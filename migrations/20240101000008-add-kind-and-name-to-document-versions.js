@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('document_versions', 'kind', {
+      type: Sequelize.ENUM('autosave', 'save', 'revert', 'import'),
+      allowNull: false,
+      defaultValue: 'autosave'
+    });
+    await queryInterface.addColumn('document_versions', 'name', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('document_versions', 'description', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('document_versions', 'description');
+    await queryInterface.removeColumn('document_versions', 'name');
+    await queryInterface.removeColumn('document_versions', 'kind');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_document_versions_kind";');
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('document_versions', 'revertedFromVersionId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'document_versions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('document_versions', 'revertedFromVersionId');
+  }
+};
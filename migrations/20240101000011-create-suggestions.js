@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('suggestions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      documentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'documents',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('insert', 'delete'),
+        allowNull: false
+      },
+      anchorStart: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      anchorEnd: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'accepted', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      authorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      resolvedById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      resolvedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('suggestions', ['documentId', 'status']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('suggestions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_suggestions_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_suggestions_status";');
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('room_leases', {
+      resource: {
+        type: Sequelize.STRING(255),
+        primaryKey: true,
+        allowNull: false
+      },
+      instanceId: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      pendingSave: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      }
+    });
+
+    await queryInterface.createTable('room_members', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      roomId: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      socketId: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      instanceId: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      member: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('room_messages', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('room_leases', ['instanceId']);
+    await queryInterface.addIndex('room_members', ['roomId', 'socketId'], { unique: true });
+    await queryInterface.addIndex('room_members', ['instanceId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('room_messages');
+    await queryInterface.dropTable('room_members');
+    await queryInterface.dropTable('room_leases');
+  }
+};
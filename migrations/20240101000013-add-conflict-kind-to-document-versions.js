@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_document_versions_kind" ADD VALUE IF NOT EXISTS 'conflict';`
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop an enum value, so rebuild the type without it
+    await queryInterface.sequelize.query(
+      `UPDATE document_versions SET kind = 'save' WHERE kind = 'conflict';`
+    );
+    await queryInterface.sequelize.query(`
+      ALTER TABLE document_versions ALTER COLUMN kind DROP DEFAULT;
+      ALTER TYPE "enum_document_versions_kind" RENAME TO "enum_document_versions_kind_old";
+      CREATE TYPE "enum_document_versions_kind" AS ENUM ('autosave', 'save', 'revert', 'import');
+      ALTER TABLE document_versions
+        ALTER COLUMN kind TYPE "enum_document_versions_kind"
+        USING kind::text::"enum_document_versions_kind";
+      ALTER TABLE document_versions ALTER COLUMN kind SET DEFAULT 'autosave';
+      DROP TYPE "enum_document_versions_kind_old";
+    `);
+  }
+};
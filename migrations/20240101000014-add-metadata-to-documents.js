@@ -0,0 +1,64 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('documents', 'description', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('documents', 'tags', {
+      type: Sequelize.ARRAY(Sequelize.STRING(50)),
+      allowNull: false,
+      defaultValue: []
+    });
+
+    await queryInterface.createTable('document_metadata_changes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      documentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'documents',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      changedById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      changes: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('documents', ['tags'], { using: 'GIN' });
+    await queryInterface.addIndex('document_metadata_changes', ['documentId', 'createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('document_metadata_changes');
+    await queryInterface.removeIndex('documents', ['tags']);
+    await queryInterface.removeColumn('documents', 'tags');
+    await queryInterface.removeColumn('documents', 'description');
+  }
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const ROLES = ['owner', 'editor', 'commenter', 'viewer'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const id = {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    };
+    const userReference = (allowNull, onDelete) => ({
+      type: Sequelize.INTEGER,
+      allowNull,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+    const timestamps = {
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    };
+
+    await queryInterface.createTable('workspaces', {
+      id,
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdById: userReference(true, 'SET NULL'),
+      ...timestamps
+    });
+
+    await queryInterface.createTable('workspace_members', {
+      id,
+      workspaceId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: userReference(false, 'CASCADE'),
+      role: {
+        type: Sequelize.ENUM(...ROLES),
+        allowNull: false,
+        defaultValue: 'viewer'
+      }
+    });
+
+    await queryInterface.createTable('folders', {
+      id,
+      workspaceId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      parentId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'folders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      createdById: userReference(true, 'SET NULL'),
+      ...timestamps
+    });
+
+    await queryInterface.createTable('folder_members', {
+      id,
+      folderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'folders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: userReference(false, 'CASCADE'),
+      role: {
+        type: Sequelize.ENUM(...ROLES),
+        allowNull: false,
+        defaultValue: 'viewer'
+      }
+    });
+
+    await queryInterface.addColumn('documents', 'workspaceId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('documents', 'folderId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'folders',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('workspace_members', ['workspaceId', 'userId'], { unique: true });
+    await queryInterface.addIndex('workspace_members', ['userId']);
+    await queryInterface.addIndex('folders', ['workspaceId', 'parentId']);
+    await queryInterface.addIndex('folder_members', ['folderId', 'userId'], { unique: true });
+    await queryInterface.addIndex('folder_members', ['userId']);
+    await queryInterface.addIndex('documents', ['workspaceId']);
+    await queryInterface.addIndex('documents', ['folderId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('documents', ['folderId']);
+    await queryInterface.removeIndex('documents', ['workspaceId']);
+    await queryInterface.removeColumn('documents', 'folderId');
+    await queryInterface.removeColumn('documents', 'workspaceId');
+    await queryInterface.dropTable('folder_members');
+    await queryInterface.dropTable('folders');
+    await queryInterface.dropTable('workspace_members');
+    await queryInterface.dropTable('workspaces');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_folder_members_role";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_workspace_members_role";');
+  }
+};
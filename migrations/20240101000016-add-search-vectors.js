@@ -0,0 +1,98 @@
+'use strict';
+
+// Version patches as utils/versionPatch decoded them when this migration was
+// written, copied so later changes there cannot change what it does.
+// A patch is [position, deleteCount, insertText].
+
+function applyPatch(content, patch) {
+  const [position, deleteCount, text] = patch;
+  return content.slice(0, position) + text + content.slice(position + deleteCount);
+}
+
+// Rebuild the content of every version in a chain ordered oldest first.
+// The chain must start with a snapshot.
+function decodeChain(rows) {
+  const contents = [];
+  let content = null;
+  for (const row of rows) {
+    if (row.isSnapshot) {
+      content = row.content || '';
+    } else {
+      if (content === null) {
+        throw new Error(`Version ${row.id} has no snapshot to apply its patch to`);
+      }
+      content = applyPatch(content, row.patch);
+    }
+    contents.push(content);
+  }
+  return contents;
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('documents', 'searchVector', {
+      type: Sequelize.TSVECTOR,
+      allowNull: true
+    });
+    await queryInterface.addColumn('document_versions', 'searchVector', {
+      type: Sequelize.TSVECTOR,
+      allowNull: true
+    });
+
+    // Titles rank above descriptions and tags, which rank above the body
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION documents_search_vector_update() RETURNS trigger AS $$
+      BEGIN
+        NEW."searchVector" :=
+          setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+          setweight(to_tsvector('english', coalesce(NEW.description, '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(array_to_string(NEW.tags, ' '), '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(NEW.content, '')), 'C');
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql;
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER documents_search_vector
+      BEFORE INSERT OR UPDATE OF title, description, tags, content ON documents
+      FOR EACH ROW EXECUTE FUNCTION documents_search_vector_update();
+    `);
+    await queryInterface.sequelize.query('UPDATE documents SET title = title');
+
+    // Version rows only store patches, so their vectors are built from the
+    // rebuilt content (utils/versionStore keeps new versions up to date)
+    const [documents] = await queryInterface.sequelize.query(
+      'SELECT DISTINCT "documentId" FROM document_versions'
+    );
+
+    for (const { documentId } of documents) {
+      await queryInterface.sequelize.transaction(async (transaction) => {
+        const [rows] = await queryInterface.sequelize.query(
+          'SELECT id, content, "isSnapshot", patch FROM document_versions WHERE "documentId" = :documentId ORDER BY id ASC',
+          { replacements: { documentId }, transaction }
+        );
+
+        const contents = decodeChain(rows);
+        for (let i = 0; i < rows.length; i++) {
+          await queryInterface.sequelize.query(
+            `UPDATE document_versions SET "searchVector" = to_tsvector('english', :content) WHERE id = :id`,
+            { replacements: { id: rows[i].id, content: contents[i] }, transaction }
+          );
+        }
+      });
+    }
+
+    // Add indexes
+    await queryInterface.addIndex('documents', ['searchVector'], { using: 'GIN' });
+    await queryInterface.addIndex('document_versions', ['searchVector'], { using: 'GIN' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS documents_search_vector ON documents;');
+    await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS documents_search_vector_update();');
+    await queryInterface.removeIndex('document_versions', ['searchVector']);
+    await queryInterface.removeIndex('documents', ['searchVector']);
+    await queryInterface.removeColumn('document_versions', 'searchVector');
+    await queryInterface.removeColumn('documents', 'searchVector');
+  }
+};
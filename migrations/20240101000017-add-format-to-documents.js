@@ -0,0 +1,61 @@
+'use strict';
+
+// Plain-text index input for a document row: rich text contributes only the
+// text of its inline runs and code blocks
+const SEARCH_FUNCTION = (contentExpression) => `
+  CREATE OR REPLACE FUNCTION documents_search_vector_update() RETURNS trigger AS $$
+  BEGIN
+    NEW."searchVector" :=
+      setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(NEW.description, '')), 'B') ||
+      setweight(to_tsvector('english', coalesce(array_to_string(NEW.tags, ' '), '')), 'B') ||
+      setweight(${contentExpression}, 'C');
+    RETURN NEW;
+  END
+  $$ LANGUAGE plpgsql;
+`;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Existing content is plain text and stays readable as such; convert
+    // documents with `npm run content:convert`
+    await queryInterface.addColumn('documents', 'format', {
+      type: Sequelize.ENUM('text', 'rich'),
+      allowNull: false,
+      defaultValue: 'text'
+    });
+    await queryInterface.addColumn('document_versions', 'format', {
+      type: Sequelize.ENUM('text', 'rich'),
+      allowNull: false,
+      defaultValue: 'text'
+    });
+
+    await queryInterface.sequelize.query(SEARCH_FUNCTION(`
+      CASE WHEN NEW.format = 'rich'
+        THEN to_tsvector('english', jsonb_path_query_array(NEW.content::jsonb, 'strict $.**.text'))
+        ELSE to_tsvector('english', coalesce(NEW.content, ''))
+      END`));
+    await queryInterface.sequelize.query(`
+      DROP TRIGGER IF EXISTS documents_search_vector ON documents;
+      CREATE TRIGGER documents_search_vector
+      BEFORE INSERT OR UPDATE OF title, description, tags, content, format ON documents
+      FOR EACH ROW EXECUTE FUNCTION documents_search_vector_update();
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Rich documents go back to plain text with their JSON as the content
+    await queryInterface.sequelize.query(SEARCH_FUNCTION(`to_tsvector('english', coalesce(NEW.content, ''))`));
+    await queryInterface.sequelize.query(`
+      DROP TRIGGER IF EXISTS documents_search_vector ON documents;
+      CREATE TRIGGER documents_search_vector
+      BEFORE INSERT OR UPDATE OF title, description, tags, content ON documents
+      FOR EACH ROW EXECUTE FUNCTION documents_search_vector_update();
+    `);
+
+    await queryInterface.removeColumn('document_versions', 'format');
+    await queryInterface.removeColumn('documents', 'format');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_document_versions_format";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_documents_format";');
+  }
+};
@@ -0,0 +1,156 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const id = {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    };
+    const userReference = {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    };
+    const createdAt = {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    };
+
+    await queryInterface.createTable('templates', {
+      id,
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: ''
+      },
+      format: {
+        type: Sequelize.ENUM('text', 'rich'),
+        allowNull: false,
+        defaultValue: 'text'
+      },
+      tags: {
+        type: Sequelize.ARRAY(Sequelize.STRING(50)),
+        allowNull: false,
+        defaultValue: []
+      },
+      ownerId: userReference,
+      // Shared templates become personal again when their workspace is deleted
+      workspaceId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      currentVersion: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      createdAt,
+      updatedAt: createdAt
+    });
+
+    await queryInterface.createTable('template_versions', {
+      id,
+      templateId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'templates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      format: {
+        type: Sequelize.ENUM('text', 'rich'),
+        allowNull: false,
+        defaultValue: 'text'
+      },
+      isSnapshot: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      patch: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      updatedById: userReference,
+      kind: {
+        type: Sequelize.ENUM('save', 'revert'),
+        allowNull: false,
+        defaultValue: 'save'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      revertedFromVersionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'template_versions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt
+    });
+
+    await queryInterface.addColumn('documents', 'templateId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'templates',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('templates', ['ownerId']);
+    await queryInterface.addIndex('templates', ['workspaceId']);
+    await queryInterface.addIndex('template_versions', ['templateId', 'id']);
+    await queryInterface.addIndex('documents', ['templateId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('documents', ['templateId']);
+    await queryInterface.removeColumn('documents', 'templateId');
+    await queryInterface.dropTable('template_versions');
+    await queryInterface.dropTable('templates');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_template_versions_kind";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_template_versions_format";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_templates_format";');
+  }
+};
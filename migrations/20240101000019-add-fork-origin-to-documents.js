@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Forks outlive the document and version they were copied from
+    await queryInterface.addColumn('documents', 'forkedFromDocumentId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'documents',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('documents', 'forkedFromVersionId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'document_versions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('documents', ['forkedFromDocumentId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('documents', ['forkedFromDocumentId']);
+    await queryInterface.removeColumn('documents', 'forkedFromVersionId');
+    await queryInterface.removeColumn('documents', 'forkedFromDocumentId');
+  }
+};
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+const { Document } = require('./Document');
+
+// A discussion anchored to a character range of a document
+const CommentThread = sequelize.define('CommentThread', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'documents',
+      key: 'id'
+    }
+  },
+  // Anchor range [anchorStart, anchorEnd) in the current document content
+  anchorStart: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  anchorEnd: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Text under the anchor when the thread was opened
+  quotedText: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'comment_threads',
+  timestamps: true
+});
+
+const Comment = sequelize.define('Comment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  threadId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'comment_threads',
+      key: 'id'
+    }
+  },
+  authorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Ids of collaborators @mentioned in the body
+  mentions: {
+    type: DataTypes.ARRAY(DataTypes.INTEGER),
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'comments',
+  timestamps: true
+});
+
+// Define associations
+Document.hasMany(CommentThread, { as: 'commentThreads', foreignKey: 'documentId', onDelete: 'CASCADE' });
+CommentThread.belongsTo(Document, { foreignKey: 'documentId' });
+CommentThread.belongsTo(User, { as: 'createdBy', foreignKey: 'createdById' });
+CommentThread.belongsTo(User, { as: 'resolvedBy', foreignKey: 'resolvedById' });
+CommentThread.hasMany(Comment, { as: 'comments', foreignKey: 'threadId', onDelete: 'CASCADE' });
+Comment.belongsTo(CommentThread, { as: 'thread', foreignKey: 'threadId' });
+Comment.belongsTo(User, { as: 'author', foreignKey: 'authorId' });
+
+module.exports = { CommentThread, Comment };
@@ -16,13 +16,81 @@ const Document = sequelize.define('Document', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // 'text' for plain text, 'rich' for a JSON rich-text document (utils/richText)
+  format: {
+    type: DataTypes.ENUM('text', 'rich'),
+    allowNull: false,
+    defaultValue: 'text'
+  },
+  // Goes up by one on every content change. It is not the number of version
+  // rows: a save right after a revert adds no row, and pruning removes some.
   currentVersion: {
     type: DataTypes.INTEGER,
     defaultValue: 0
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  tags: {
+    type: DataTypes.ARRAY(DataTypes.STRING(50)),
+    allowNull: false,
+    defaultValue: []
+  },
+  // Workspace and folder holding the document (models/Workspace.js); both
+  // null for documents outside any workspace
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'workspaces',
+      key: 'id'
+    }
+  },
+  folderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'folders',
+      key: 'id'
+    }
+  },
+  // Template the document was created from (models/Template.js), if any
+  templateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'templates',
+      key: 'id'
+    }
+  },
+  // For duplicates: the document and version the content was copied from
+  forkedFromDocumentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'documents',
+      key: 'id'
+    }
+  },
+  // The foreign key is created by migration 20240101000019; declaring it here
+  // would make documents and document_versions depend on each other
+  forkedFromVersionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Full-text index of title, description, tags and content, kept up to date
+  // by a database trigger (see utils/search)
+  searchVector: {
+    type: DataTypes.TSVECTOR,
+    allowNull: true
   }
 }, {
   tableName: 'documents',
-  timestamps: true
+  timestamps: true,
+  defaultScope: {
+    attributes: { exclude: ['searchVector'] }
+  }
 });
 
 const DocumentVersion = sequelize.define('DocumentVersion', {
@@ -39,9 +107,26 @@ const DocumentVersion = sequelize.define('DocumentVersion', {
       key: 'id'
     }
   },
+  // Full content for snapshots; null for patch rows (see utils/versionStore)
   content: {
     type: DataTypes.TEXT,
-    allowNull: false
+    allowNull: true
+  },
+  // Format of the version's content; a document can change format over time
+  format: {
+    type: DataTypes.ENUM('text', 'rich'),
+    allowNull: false,
+    defaultValue: 'text'
+  },
+  isSnapshot: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  // [position, deleteCount, insertText] against the previous version
+  patch: {
+    type: DataTypes.JSONB,
+    allowNull: true
   },
   updatedById: {
     type: DataTypes.INTEGER,
@@ -50,11 +135,44 @@ const DocumentVersion = sequelize.define('DocumentVersion', {
       model: 'users',
       key: 'id'
     }
+  },
+  // What created the version: an autosave pause, an explicit save, a revert, an
+  // import, or offline edits that conflicted with others' changes on reconnect
+  kind: {
+    type: DataTypes.ENUM('autosave', 'save', 'revert', 'import', 'conflict'),
+    allowNull: false,
+    defaultValue: 'autosave'
+  },
+  // Optional user-given label, e.g. "Sent to legal v2"
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // For revert entries, the version whose content was restored
+  revertedFromVersionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'document_versions',
+      key: 'id'
+    }
+  },
+  // Full-text index of the version's content, set by utils/versionStore
+  searchVector: {
+    type: DataTypes.TSVECTOR,
+    allowNull: true
   }
 }, {
   tableName: 'document_versions',
   timestamps: true,
-  updatedAt: false
+  updatedAt: false,
+  defaultScope: {
+    attributes: { exclude: ['searchVector'] }
+  }
 });
 
 const DocumentCollaborator = sequelize.define('DocumentCollaborator', {
@@ -73,17 +191,33 @@ const DocumentCollaborator = sequelize.define('DocumentCollaborator', {
       model: 'users',
       key: 'id'
     }
+  },
+  role: {
+    type: DataTypes.ENUM('owner', 'editor', 'commenter', 'viewer'),
+    allowNull: false,
+    defaultValue: 'viewer'
   }
 }, {
   tableName: 'document_collaborators',
   timestamps: false
 });
 
+// Storage details are not part of API responses
+DocumentVersion.prototype.toJSON = function() {
+  const values = this.get({ plain: true });
+  delete values.isSnapshot;
+  delete values.patch;
+  return values;
+};
+
 // Define associations
 Document.hasMany(DocumentVersion, { as: 'versions', foreignKey: 'documentId', onDelete: 'CASCADE' });
 Document.belongsToMany(User, { as: 'collaborators', through: DocumentCollaborator, foreignKey: 'documentId', otherKey: 'userId' });
 
+Document.hasMany(Document, { as: 'forks', foreignKey: 'forkedFromDocumentId', onDelete: 'SET NULL' });
+
 DocumentVersion.belongsTo(User, { as: 'updatedBy', foreignKey: 'updatedById' });
 DocumentVersion.belongsTo(Document, { foreignKey: 'documentId' });
+DocumentVersion.belongsTo(DocumentVersion, { as: 'revertedFrom', foreignKey: 'revertedFromVersionId', onDelete: 'SET NULL' });
 
 module.exports = { Document, DocumentVersion, DocumentCollaborator };
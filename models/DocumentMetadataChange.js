@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+const { Document } = require('./Document');
+
+// History of title, description, tag and location changes, kept apart from
+// content versions. `changes` maps each field to { from, to }.
+const DocumentMetadataChange = sequelize.define('DocumentMetadataChange', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'documents',
+      key: 'id'
+    }
+  },
+  changedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'document_metadata_changes',
+  timestamps: true,
+  updatedAt: false
+});
+
+Document.hasMany(DocumentMetadataChange, { as: 'metadataChanges', foreignKey: 'documentId', onDelete: 'CASCADE' });
+DocumentMetadataChange.belongsTo(Document, { foreignKey: 'documentId' });
+DocumentMetadataChange.belongsTo(User, { as: 'changedBy', foreignKey: 'changedById' });
+
+module.exports = DocumentMetadataChange;
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+const { Document } = require('./Document');
+
+const DocumentShareLink = sequelize.define('DocumentShareLink', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'documents',
+      key: 'id'
+    }
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  role: {
+    type: DataTypes.ENUM('editor', 'viewer'),
+    allowNull: false,
+    defaultValue: 'viewer'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  maxUses: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  useCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'document_share_links',
+  timestamps: true,
+  updatedAt: false
+});
+
+// Whether the link still grants access (revocation and expiry)
+DocumentShareLink.prototype.isActive = function() {
+  if (this.revokedAt) {
+    return false;
+  }
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+// Whether the link can still be opened or accepted (also checks max uses)
+DocumentShareLink.prototype.canBeUsed = function() {
+  return this.isActive() && (this.maxUses === null || this.useCount < this.maxUses);
+};
+
+Document.hasMany(DocumentShareLink, { as: 'shareLinks', foreignKey: 'documentId', onDelete: 'CASCADE' });
+DocumentShareLink.belongsTo(Document, { foreignKey: 'documentId' });
+DocumentShareLink.belongsTo(User, { as: 'createdBy', foreignKey: 'createdById' });
+
+module.exports = DocumentShareLink;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Shared room state for running several server instances against one
+// database (see adapters/postgresRoomState.js)
+
+// Time-limited ownership of a resource: `document:<id>` for the instance
+// that owns a document's live state and saves, `instance:<id>` as a heartbeat
+const RoomLease = sequelize.define('RoomLease', {
+  resource: {
+    type: DataTypes.STRING(255),
+    primaryKey: true
+  },
+  instanceId: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Unsaved changes waiting for an autosave, { userId, since, content }, saved
+  // by the next owner if this one stops first
+  pendingSave: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'room_leases',
+  timestamps: false
+});
+
+// One row per socket connection in a document room, on any instance
+const RoomMember = sequelize.define('RoomMember', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  roomId: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  socketId: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  instanceId: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  member: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'room_members',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [{ unique: true, fields: ['roomId', 'socketId'] }]
+});
+
+// Payloads too large for a NOTIFY message, fetched by id by listeners
+const RoomMessage = sequelize.define('RoomMessage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'room_messages',
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = { RoomLease, RoomMember, RoomMessage };
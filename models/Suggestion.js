@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+const { Document } = require('./Document');
+
+// A proposed insert or delete made in suggesting mode, pending review
+const Suggestion = sequelize.define('Suggestion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'documents',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('insert', 'delete'),
+    allowNull: false
+  },
+  // Inserts are anchored to a point (anchorStart === anchorEnd), deletes to
+  // the range they would remove. Anchors move with edits like comment anchors.
+  anchorStart: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  anchorEnd: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Text to insert, or the text under a delete when it was suggested
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  authorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'suggestions',
+  timestamps: true
+});
+
+// Define associations
+Document.hasMany(Suggestion, { as: 'suggestions', foreignKey: 'documentId', onDelete: 'CASCADE' });
+Suggestion.belongsTo(Document, { foreignKey: 'documentId' });
+Suggestion.belongsTo(User, { as: 'author', foreignKey: 'authorId' });
+Suggestion.belongsTo(User, { as: 'resolvedBy', foreignKey: 'resolvedById' });
+
+module.exports = Suggestion;
@@ -0,0 +1,154 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+const { Document } = require('./Document');
+const { Workspace } = require('./Workspace');
+
+// A reusable starting point for documents. Personal templates (workspaceId
+// null) are only visible to their owner; shared templates belong to a
+// workspace and are available to its members (see utils/templates).
+// `title` and `content` may contain placeholders such as {{date}}.
+const Template = sequelize.define('Template', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Title pattern for new documents, e.g. "Incident {{date}}"; the template
+  // name is used when it is null
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: ''
+  },
+  format: {
+    type: DataTypes.ENUM('text', 'rich'),
+    allowNull: false,
+    defaultValue: 'text'
+  },
+  // Tags given to documents created from the template
+  tags: {
+    type: DataTypes.ARRAY(DataTypes.STRING(50)),
+    allowNull: false,
+    defaultValue: []
+  },
+  ownerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'workspaces',
+      key: 'id'
+    }
+  },
+  currentVersion: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'templates',
+  timestamps: true
+});
+
+// Template content history, stored like document versions (utils/versionStore)
+const TemplateVersion = sequelize.define('TemplateVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  templateId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'templates',
+      key: 'id'
+    }
+  },
+  // Full content for snapshots; null for patch rows
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  format: {
+    type: DataTypes.ENUM('text', 'rich'),
+    allowNull: false,
+    defaultValue: 'text'
+  },
+  isSnapshot: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  patch: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  updatedById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  kind: {
+    type: DataTypes.ENUM('save', 'revert'),
+    allowNull: false,
+    defaultValue: 'save'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  revertedFromVersionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'template_versions',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'template_versions',
+  timestamps: true,
+  updatedAt: false
+});
+
+// Storage details are not part of API responses
+TemplateVersion.prototype.toJSON = function() {
+  const values = this.get({ plain: true });
+  delete values.isSnapshot;
+  delete values.patch;
+  return values;
+};
+
+// Define associations
+Template.hasMany(TemplateVersion, { as: 'versions', foreignKey: 'templateId', onDelete: 'CASCADE' });
+Template.hasMany(Document, { as: 'documents', foreignKey: 'templateId' });
+Template.belongsTo(User, { as: 'owner', foreignKey: 'ownerId' });
+// Shared templates become personal again when their workspace is deleted
+Template.belongsTo(Workspace, { as: 'workspace', foreignKey: 'workspaceId', onDelete: 'SET NULL' });
+TemplateVersion.belongsTo(User, { as: 'updatedBy', foreignKey: 'updatedById' });
+TemplateVersion.belongsTo(Template, { foreignKey: 'templateId' });
+
+module.exports = { Template, TemplateVersion };
@@ -0,0 +1,154 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+const { Document } = require('./Document');
+
+// Roles on workspaces and folders match document roles (utils/permissions)
+const ROLE_TYPE = DataTypes.ENUM('owner', 'editor', 'commenter', 'viewer');
+
+// A team space holding nested folders and documents
+const Workspace = sequelize.define('Workspace', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'workspaces',
+  timestamps: true
+});
+
+// Workspace members get their role on every folder and document inside
+const WorkspaceMember = sequelize.define('WorkspaceMember', {
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'workspaces',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  role: {
+    type: ROLE_TYPE,
+    allowNull: false,
+    defaultValue: 'viewer'
+  }
+}, {
+  tableName: 'workspace_members',
+  timestamps: false,
+  indexes: [{ unique: true, fields: ['workspaceId', 'userId'] }]
+});
+
+// A folder in a workspace; parentId is null for top-level folders
+const Folder = sequelize.define('Folder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  workspaceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'workspaces',
+      key: 'id'
+    }
+  },
+  parentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'folders',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'folders',
+  timestamps: true
+});
+
+// Folder members get their role on the folder, its subfolders and their documents
+const FolderMember = sequelize.define('FolderMember', {
+  folderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'folders',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  role: {
+    type: ROLE_TYPE,
+    allowNull: false,
+    defaultValue: 'viewer'
+  }
+}, {
+  tableName: 'folder_members',
+  timestamps: false,
+  indexes: [{ unique: true, fields: ['folderId', 'userId'] }]
+});
+
+// Define associations
+Workspace.hasMany(WorkspaceMember, { as: 'members', foreignKey: 'workspaceId', onDelete: 'CASCADE' });
+Workspace.hasMany(Folder, { as: 'folders', foreignKey: 'workspaceId', onDelete: 'CASCADE' });
+Workspace.hasMany(Document, { as: 'documents', foreignKey: 'workspaceId' });
+Workspace.belongsTo(User, { as: 'createdBy', foreignKey: 'createdById' });
+WorkspaceMember.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+WorkspaceMember.belongsTo(Workspace, { foreignKey: 'workspaceId' });
+
+Folder.belongsTo(Workspace, { foreignKey: 'workspaceId' });
+Folder.belongsTo(Folder, { as: 'parent', foreignKey: 'parentId' });
+Folder.hasMany(Folder, { as: 'children', foreignKey: 'parentId' });
+Folder.hasMany(FolderMember, { as: 'members', foreignKey: 'folderId', onDelete: 'CASCADE' });
+Folder.hasMany(Document, { as: 'documents', foreignKey: 'folderId' });
+FolderMember.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+FolderMember.belongsTo(Folder, { foreignKey: 'folderId' });
+
+Document.belongsTo(Workspace, { as: 'workspace', foreignKey: 'workspaceId' });
+Document.belongsTo(Folder, { as: 'folder', foreignKey: 'folderId' });
+
+module.exports = { Workspace, WorkspaceMember, Folder, FolderMember };
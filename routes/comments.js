@@ -0,0 +1,279 @@
+const express = require('express');
+const { CommentThread, Comment } = require('../models/Comment');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const requireDocumentAccess = require('../middleware/documentAccess');
+const { can } = require('../utils/permissions');
+const { fetchCollaborators } = require('../utils/collaborators');
+const { documentStates, anchorKey } = require('../utils/documentState');
+const { userAttributes, applyLiveAnchor, loadThread } = require('../utils/comments');
+const { requestOnOwner } = require('../utils/roomOwner');
+const documentEvents = require('../utils/documentEvents');
+
+// Mounted at /api/documents/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Ids of collaborators @mentioned in a comment body
+async function findMentions(documentId, body) {
+  const usernames = new Set([...body.matchAll(/@([A-Za-z0-9_.-]+)/g)].map(match => match[1]));
+  if (usernames.size === 0) {
+    return [];
+  }
+
+  const collaborators = await fetchCollaborators(documentId);
+  return collaborators
+    .filter(collaborator => usernames.has(collaborator.username))
+    .map(collaborator => collaborator.id);
+}
+
+// Push a comment event to the document room and notify mentioned users
+function broadcast(documentId, event, data, mentions = []) {
+  documentEvents.emit('room-event', { documentId, event, data });
+  for (const userId of mentions) {
+    documentEvents.emit('user-event', {
+      userId,
+      event: 'comment-mention',
+      data: { documentId: String(documentId), ...data }
+    });
+  }
+}
+
+// Delete a thread and stop tracking its anchor
+async function deleteThread(documentId, thread) {
+  await thread.destroy();
+
+  const state = documentStates.get(String(documentId));
+  if (state) {
+    state.anchors.delete(anchorKey('comment', thread.id));
+  }
+
+  broadcast(documentId, 'comment-deleted', { threadId: thread.id });
+}
+
+function validateBody(body) {
+  return typeof body === 'string' && body.trim().length > 0;
+}
+
+// List comment threads (viewer or above). ?status=open|resolved filters.
+router.get('/', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const where = { documentId: req.params.id };
+    if (['open', 'resolved'].includes(req.query.status)) {
+      where.status = req.query.status;
+    }
+
+    const threads = await CommentThread.findAll({
+      where,
+      include: [
+        { model: User, as: 'createdBy', attributes: userAttributes },
+        { model: User, as: 'resolvedBy', attributes: userAttributes },
+        {
+          model: Comment,
+          as: 'comments',
+          include: [{ model: User, as: 'author', attributes: userAttributes }]
+        }
+      ],
+      order: [['anchorStart', 'ASC'], [{ model: Comment, as: 'comments' }, 'createdAt', 'ASC']]
+    });
+
+    threads.forEach(applyLiveAnchor);
+    res.json(threads);
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open a thread on a text range (commenter or above).
+// Pass `revision` when the range was taken from a live editor at that revision.
+router.post('/', authMiddleware, requireDocumentAccess('comment'), async (req, res) => {
+  try {
+    const { anchorStart, anchorEnd, body, revision } = req.body;
+
+    if (!validateBody(body)) {
+      return res.status(400).json({ message: 'Comment body is required' });
+    }
+
+    if (!Number.isInteger(anchorStart) || !Number.isInteger(anchorEnd) || anchorStart < 0 || anchorEnd < anchorStart) {
+      return res.status(400).json({ message: 'anchorStart and anchorEnd must be a valid range' });
+    }
+
+    // The owner of the document's room checks the range against the live
+    // content and starts tracking the anchor
+    const mentions = await findMentions(req.params.id, body);
+    const created = await requestOnOwner(req.params.id, 'create-comment', {
+      anchorStart,
+      anchorEnd,
+      revision,
+      body: body.trim(),
+      mentions,
+      userId: req.userId
+    });
+    broadcast(req.params.id, 'comment-added', { thread: created }, mentions);
+
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Create comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reply to a thread (commenter or above)
+router.post('/:threadId/replies', authMiddleware, requireDocumentAccess('comment'), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!validateBody(body)) {
+      return res.status(400).json({ message: 'Comment body is required' });
+    }
+
+    const thread = await CommentThread.findOne({
+      where: { id: req.params.threadId, documentId: req.params.id }
+    });
+    if (!thread) {
+      return res.status(404).json({ message: 'Comment thread not found' });
+    }
+
+    const mentions = await findMentions(req.params.id, body);
+    const comment = await Comment.create({
+      threadId: thread.id,
+      authorId: req.userId,
+      body: body.trim(),
+      mentions
+    });
+
+    const updated = await loadThread(thread.id);
+    broadcast(req.params.id, 'comment-added', { thread: updated, commentId: comment.id }, mentions);
+
+    res.status(201).json(updated);
+  } catch (error) {
+    console.error('Reply comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolve or reopen a thread (commenter or above)
+router.patch('/:threadId', authMiddleware, requireDocumentAccess('comment'), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['open', 'resolved'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be open or resolved' });
+    }
+
+    const thread = await CommentThread.findOne({
+      where: { id: req.params.threadId, documentId: req.params.id }
+    });
+    if (!thread) {
+      return res.status(404).json({ message: 'Comment thread not found' });
+    }
+
+    thread.status = status;
+    thread.resolvedById = status === 'resolved' ? req.userId : null;
+    thread.resolvedAt = status === 'resolved' ? new Date() : null;
+    await thread.save();
+
+    const updated = await loadThread(thread.id);
+    broadcast(req.params.id, 'comment-resolved', { thread: updated });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Resolve comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a reply (its author only)
+router.patch('/:threadId/replies/:commentId', authMiddleware, requireDocumentAccess('comment'), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!validateBody(body)) {
+      return res.status(400).json({ message: 'Comment body is required' });
+    }
+
+    const comment = await Comment.findOne({
+      where: { id: req.params.commentId, threadId: req.params.threadId },
+      include: [{ model: CommentThread, as: 'thread', where: { documentId: req.params.id } }]
+    });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.authorId !== req.userId) {
+      return res.status(403).json({ message: 'Only the author can edit a comment' });
+    }
+
+    comment.body = body.trim();
+    comment.mentions = await findMentions(req.params.id, comment.body);
+    await comment.save();
+
+    const updated = await loadThread(comment.threadId);
+    broadcast(req.params.id, 'comment-updated', { thread: updated, commentId: comment.id });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a reply (its author or an owner). Deleting the last reply deletes the thread.
+router.delete('/:threadId/replies/:commentId', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      where: { id: req.params.commentId, threadId: req.params.threadId },
+      include: [{ model: CommentThread, as: 'thread', where: { documentId: req.params.id } }]
+    });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.authorId !== req.userId && !can(req.documentRole, 'manage')) {
+      return res.status(403).json({ message: 'Only the author or an owner can delete a comment' });
+    }
+
+    await comment.destroy();
+
+    const remaining = await Comment.count({ where: { threadId: comment.threadId } });
+    if (remaining === 0) {
+      await deleteThread(req.params.id, comment.thread);
+      return res.json({ message: 'Comment thread deleted successfully' });
+    }
+
+    const updated = await loadThread(comment.threadId);
+    broadcast(req.params.id, 'comment-updated', { thread: updated, commentId: comment.id });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a thread (its creator or an owner)
+router.delete('/:threadId', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const thread = await CommentThread.findOne({
+      where: { id: req.params.threadId, documentId: req.params.id }
+    });
+    if (!thread) {
+      return res.status(404).json({ message: 'Comment thread not found' });
+    }
+
+    if (thread.createdById !== req.userId && !can(req.documentRole, 'manage')) {
+      return res.status(403).json({ message: 'Only the author or an owner can delete a thread' });
+    }
+
+    await deleteThread(req.params.id, thread);
+    res.json({ message: 'Comment thread deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,102 @@
 const express = require('express');
-const { Document, DocumentVersion } = require('../models/Document');
+const { Document, DocumentVersion, DocumentCollaborator } = require('../models/Document');
 const User = require('../models/User');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const DocumentShareLink = require('../models/DocumentShareLink');
+const DocumentMetadataChange = require('../models/DocumentMetadataChange');
 const authMiddleware = require('../middleware/auth');
+const guestAuthMiddleware = require('../middleware/guestAuth');
+const requireDocumentAccess = require('../middleware/documentAccess');
+const uploadFiles = require('../middleware/upload');
+const { isValidRole, can, getDocumentRole, getContainerRole } = require('../utils/permissions');
+const documentEvents = require('../utils/documentEvents');
+const { fetchCollaborators, getDocumentMembers } = require('../utils/collaborators');
+const { diffText } = require('../utils/diff');
+const { documentETag, ifMatchSatisfied } = require('../utils/etag');
+const versionStore = require('../utils/versionStore');
+const search = require('../utils/search');
+const { EXPORT_FORMATS, exportModel, renderExport, exportFileName, exportPath } = require('../utils/exporters');
+const lobby = require('../utils/lobby');
+const createDocument = require('../utils/createDocument');
+const { convertImport } = require('../utils/importers');
+const {
+  CONTENT_FORMATS,
+  normalizeContent,
+  emptyRichText,
+  convertTextContent
+} = require('../utils/richText');
+const convertDocumentToRichText = require('../utils/convertDocument');
+const duplicateDocument = require('../utils/duplicateDocument');
+const {
+  parseTemplateFields,
+  resolveTemplateWorkspace,
+  templatePlaceholders,
+  documentFromTemplate,
+  createTemplate
+} = require('../utils/templates');
+const { parseMetadata, diffMetadata } = require('../utils/documentMetadata');
+const {
+  accessibleDocumentIds,
+  parseContainerQuery,
+  documentsInContainer,
+  documentPaths,
+  notifyMoveAccessChanges
+} = require('../utils/workspaces');
+const { Workspace, Folder } = require('../models/Workspace');
+const commentRoutes = require('./comments');
+const suggestionRoutes = require('./suggestions');
 
 const router = express.Router();
 
-// Get all documents (public - everyone can see all documents)
+// Upper bound on documents in one bulk export zip
+const MAX_BULK_EXPORT = 200;
+// Upper bound on files in one import request
+const MAX_IMPORT_FILES = 20;
+// Conflict responses leave out the diff when the content sent and the
+// current content are together longer than this (in characters)
+const MAX_CONFLICT_DIFF_LENGTH = 200000;
+
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/suggestions', suggestionRoutes);
+
+// Get all documents the user can read, including those inherited from
+// workspaces and folders they belong to.
+// ?filter=owned returns only documents the user owns directly, ?filter=shared
+// everything else. ?tag=a,b keeps documents with all of these tags,
+// ?workspaceId=3 those in that workspace and ?folderId=7 those directly in
+// that folder.
 router.get('/', authMiddleware, async (req, res) => {
   try {
+    const { Op } = require('sequelize');
+    const { values: container, error } = parseContainerQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    let documentIds = await accessibleDocumentIds(req.userId);
+    if (req.query.filter === 'owned' || req.query.filter === 'shared') {
+      const owned = await DocumentCollaborator.findAll({
+        where: { userId: req.userId, role: 'owner' },
+        attributes: ['documentId']
+      });
+      const ownedIds = new Set(owned.map(m => m.documentId));
+      documentIds = documentIds.filter(id => ownedIds.has(id) === (req.query.filter === 'owned'));
+    }
+
+    const documentWhere = { id: documentIds };
+    if (req.query.tag) {
+      documentWhere.tags = { [Op.contains]: String(req.query.tag).split(',').map(tag => tag.trim()) };
+    }
+    if (container.workspaceId) {
+      documentWhere.workspaceId = container.workspaceId;
+    }
+    if (container.folderId) {
+      documentWhere.folderId = container.folderId;
+    }
+
     const documents = await Document.findAll({
+      where: documentWhere,
       include: [
         { model: User, as: 'collaborators', attributes: ['id', 'username', 'email'] }
       ],
@@ -23,25 +111,167 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
-// Get a single document (public - everyone can view)
-router.get('/:id', authMiddleware, async (req, res) => {
+// Full-text search over the documents the user can read.
+// ?q= uses web search syntax ("quoted phrases", -excluded, or). Optional
+// ?tag=a,b, ?author= (username or id of someone who saved a version),
+// ?from= and ?to= (dates; a date without a time in ?to= includes that whole
+// day), ?versions=true to also search version history, and ?limit= (at most
+// 50) with ?offset= for paging, applied to documents and versions alike.
+router.get('/search', authMiddleware, async (req, res) => {
   try {
-    const document = await Document.findByPk(req.params.id, {
-      include: [
-        { model: User, as: 'collaborators', attributes: ['id', 'username', 'email'] },
-        {
-          model: DocumentVersion,
-          as: 'versions',
-          include: [{ model: User, as: 'updatedBy', attributes: ['id', 'username', 'email'] }],
-          order: [['createdAt', 'ASC']]
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query || query.length > 200) {
+      return res.status(400).json({ message: 'q must be a search query of at most 200 characters' });
+    }
+
+    const filters = {};
+    if (req.query.tag) {
+      filters.tags = String(req.query.tag).split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    for (const field of ['from', 'to']) {
+      if (req.query[field]) {
+        const value = String(req.query[field]);
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({ message: `${field} must be a date` });
         }
-      ]
+        // Date-only values are midnight UTC; ?to= runs to the end of that day
+        if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+          date.setUTCDate(date.getUTCDate() + 1);
+          date.setUTCMilliseconds(-1);
+        }
+        filters[field] = date;
+      }
+    }
+    if (req.query.author) {
+      const author = String(req.query.author);
+      const user = await User.findOne({
+        where: /^\d+$/.test(author) ? { id: Number(author) } : { username: author }
+      });
+      if (!user) {
+        return res.status(404).json({ message: 'Author not found' });
+      }
+      filters.authorId = user.id;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const documentIds = await accessibleDocumentIds(req.userId);
+    const documents = await search.searchDocuments(query, documentIds, filters, { limit, offset });
+    const response = { query, ...documents };
+    if (req.query.versions === 'true') {
+      response.versions = await search.searchVersions(query, documentIds, filters, { limit, offset });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Search documents error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export several documents as one zip of ?format= files (see
+// utils/exporters). ?folderId= exports a folder with its subfolders,
+// ?workspaceId= a whole workspace and ?ids=1,2,3 specific documents;
+// without any of them, every document the user can read. Only readable
+// documents are included, laid out by workspace and folder.
+router.get('/export', authMiddleware, async (req, res) => {
+  try {
+    const format = String(req.query.format || '');
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const { values: container, error } = parseContainerQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    let documentIds = await accessibleDocumentIds(req.userId);
+    if (container.folderId) {
+      const folder = await Folder.findByPk(container.folderId);
+      if (!folder) {
+        return res.status(404).json({ message: 'Folder not found' });
+      }
+      const inFolder = new Set(await documentsInContainer(folder.workspaceId, folder.id));
+      documentIds = documentIds.filter(id => inFolder.has(id));
+    } else if (container.workspaceId) {
+      const inWorkspace = new Set(await documentsInContainer(container.workspaceId, null));
+      documentIds = documentIds.filter(id => inWorkspace.has(id));
+    }
+    if (req.query.ids) {
+      const requested = new Set(String(req.query.ids).split(',').map(Number));
+      documentIds = documentIds.filter(id => requested.has(id));
+    }
+
+    if (documentIds.length === 0) {
+      return res.status(404).json({ message: 'No documents to export' });
+    }
+    if (documentIds.length > MAX_BULK_EXPORT) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_EXPORT} documents can be exported at once` });
+    }
+
+    const documents = await Document.findAll({ where: { id: documentIds }, order: [['title', 'ASC'], ['id', 'ASC']] });
+    const paths = await documentPaths(documents);
+
+    const archive = archiver('zip');
+    archive.on('error', (error) => {
+      console.error('❌ Export archive error:', error);
+      res.destroy(error);
     });
+    res.attachment('documents.zip');
+    archive.pipe(res);
+
+    // Same-named documents in one folder get a " (2)" suffix
+    const used = new Set();
+    for (const document of documents) {
+      const buffer = await renderExport(format, exportModel(document));
+      let name = exportPath(paths.get(document.id), document.title, format);
+      for (let n = 2; used.has(name); n++) {
+        name = exportPath(paths.get(document.id), `${document.title} (${n})`, format);
+      }
+      used.add(name);
+      archive.append(buffer, { name });
+    }
+    await archive.finalize();
+
+    console.log(`✅ Exported ${documents.length} documents as ${format} for user ${req.userId}`);
+  } catch (error) {
+    console.error('Bulk export error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// Get a single document (viewer or above, or a share link guest). Guests get
+// the collaborators without their emails and no version history.
+router.get('/:id', guestAuthMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const include = req.shareLinkId
+      ? [{ model: User, as: 'collaborators', attributes: ['id', 'username'] }]
+      : [
+          { model: User, as: 'collaborators', attributes: ['id', 'username', 'email'] },
+          {
+            model: DocumentVersion,
+            as: 'versions',
+            include: [{ model: User, as: 'updatedBy', attributes: ['id', 'username', 'email'] }],
+            order: [['createdAt', 'ASC']]
+          }
+        ];
+    const document = await Document.findByPk(req.params.id, { include });
 
     if (!document) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
+    if (document.versions) {
+      versionStore.hydrateVersions(document.versions);
+    }
+    res.set('ETag', documentETag(document));
     res.json(document);
   } catch (error) {
     console.error('Get document error:', error);
@@ -49,26 +279,49 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// Create a new document
+// Create a new document, empty, with the given content, or from a template
+// (templateId, with optional variables and timezone for its placeholders)
 router.post('/', authMiddleware, async (req, res) => {
   try {
-    const { title, content } = req.body;
+    let source;
+    if (req.body.templateId !== undefined) {
+      if (req.body.content !== undefined || req.body.format !== undefined) {
+        return res.status(400).json({ message: 'Send either templateId or content, not both' });
+      }
+      // Title, description and tags sent with the request override the template's
+      source = await documentFromTemplate(Number(req.body.templateId), req.userId, req.body);
+    } else {
+      const { format = 'text' } = req.body;
+      if (!req.body.title) {
+        return res.status(400).json({ message: 'Title is required' });
+      }
+      if (!CONTENT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `format must be one of: ${CONTENT_FORMATS.join(', ')}` });
+      }
 
-    if (!title) {
-      return res.status(400).json({ message: 'Title is required' });
+      const emptyContent = format === 'rich' ? emptyRichText() : '';
+      const { content, error: contentInvalid } = normalizeContent(format, req.body.content || emptyContent);
+      if (contentInvalid) {
+        return res.status(400).json({ message: contentInvalid });
+      }
+      source = { fields: { format }, content };
     }
 
-    const document = await Document.create({
-      title,
-      content: content || '',
-      currentVersion: 0
-    });
+    const { values, error } = parseMetadata(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    // Create initial version
-    await DocumentVersion.create({
-      documentId: document.id,
-      content: content || '',
-      updatedById: req.userId
+    // Optionally create it straight inside a workspace or folder
+    const location = await resolveNewDocumentLocation(req.body, req.userId);
+    if (location.error) {
+      return res.status(location.status || 400).json({ message: location.error });
+    }
+
+    const document = await createDocument({
+      fields: { ...source.fields, ...values, workspaceId: location.workspaceId, folderId: location.folderId },
+      content: source.content,
+      userId: req.userId
     });
 
     // Fetch document with associations
@@ -80,20 +333,90 @@ router.post('/', authMiddleware, async (req, res) => {
 
     res.status(201).json(createdDocument);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Create document error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update a document (public - everyone can edit)
-router.put('/:id', authMiddleware, async (req, res) => {
+// Create one document per uploaded .md, .markdown, .html, .htm, .docx or .txt
+// file (multipart "files" field). Titles come from each file's first heading
+// or its name; the converted content is recorded as an "import" version.
+// Optional workspaceId and folderId fields place the new documents.
+router.post('/import', authMiddleware, uploadFiles('files', MAX_IMPORT_FILES), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'Upload at least one file in the "files" field' });
+    }
+
+    const location = await resolveNewDocumentLocation(req.body || {}, req.userId);
+    if (location.error) {
+      return res.status(location.status || 400).json({ message: location.error });
+    }
+
+    // Each file succeeds or fails on its own
+    const results = [];
+    for (const file of files) {
+      try {
+        const { title, content } = await convertImport(file);
+        const document = await createDocument({
+          fields: { title, workspaceId: location.workspaceId, folderId: location.folderId },
+          content,
+          userId: req.userId,
+          versionKind: 'import'
+        });
+        results.push({
+          file: file.originalname,
+          status: 'created',
+          document: { id: document.id, title: document.title, workspaceId: document.workspaceId, folderId: document.folderId }
+        });
+      } catch (error) {
+        if (!error.status) {
+          console.error(`❌ Import of ${file.originalname} failed:`, error);
+        }
+        results.push({
+          file: file.originalname,
+          status: 'failed',
+          message: error.status ? error.message : 'Could not import this file'
+        });
+      }
+    }
+
+    const created = results.filter(result => result.status === 'created').length;
+    console.log(`✅ Imported ${created} of ${files.length} files for user ${req.userId}`);
+    res.status(created > 0 ? 201 : 400).json({
+      created,
+      failed: files.length - created,
+      results
+    });
+  } catch (error) {
+    console.error('Import documents error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a document (editor or owner).
+// Optimistic concurrency: send the ETag from GET as If-Match, or the
+// currentVersion you loaded as `baseVersion`. If the document changed since,
+// nothing is written and 409 returns the current content and a diff.
+router.put('/:id', authMiddleware, requireDocumentAccess('edit'), async (req, res) => {
   const sequelize = require('../config/database');
   const transaction = await sequelize.transaction();
   
   try {
-    const { content } = req.body;
+    const { baseVersion } = req.body;
+
+    if (baseVersion !== undefined && !Number.isInteger(baseVersion)) {
+      await transaction.rollback();
+      return res.status(400).json({ message: 'baseVersion must be an integer' });
+    }
+
+    // Lock the row so the check and the write see the same content
     const document = await Document.findByPk(req.params.id, {
-      include: [{ model: User, as: 'collaborators' }],
+      lock: transaction.LOCK.UPDATE,
       transaction
     });
 
@@ -102,6 +425,32 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Document not found' });
     }
 
+    // Rich-text documents take the JSON document or its string form
+    const { content, error: contentInvalid } = normalizeContent(document.format, req.body.content);
+    if (contentInvalid) {
+      await transaction.rollback();
+      return res.status(400).json({ message: contentInvalid });
+    }
+
+    const etag = documentETag(document);
+    const stale = !ifMatchSatisfied(req.get('If-Match'), etag) ||
+      (baseVersion !== undefined && baseVersion !== document.currentVersion);
+    if (stale) {
+      await transaction.rollback();
+      res.set('ETag', etag);
+      const conflict = {
+        message: 'Document has changed since it was loaded',
+        currentVersion: document.currentVersion,
+        etag,
+        content: document.content
+      };
+      // From the content you sent to the current content
+      if (content.length + (document.content || '').length <= MAX_CONFLICT_DIFF_LENGTH) {
+        conflict.diff = diffText(content, document.content || '');
+      }
+      return res.status(409).json(conflict);
+    }
+
     // Check if content actually changed
     if (document.content === content) {
       await transaction.rollback();
@@ -111,37 +460,44 @@ router.put('/:id', authMiddleware, async (req, res) => {
           { model: User, as: 'collaborators', attributes: ['id', 'username', 'email'] }
         ]
       });
+      res.set('ETag', etag);
       return res.json(unchangedDocument);
     }
 
+    const previousContent = document.content;
+
     // Get last version to avoid duplicates
-    const lastVersion = await DocumentVersion.findOne({
-      where: { documentId: document.id },
-      order: [['createdAt', 'DESC']],
-      transaction
-    });
+    const lastVersion = await versionStore.getLatestVersion(document.id, { transaction });
 
     // Only create version if content changed from last version
     // Save the OLD content as a version before updating
     if (!lastVersion || lastVersion.content !== document.content) {
-      await DocumentVersion.create({
+      await versionStore.createVersion({
         documentId: document.id,
         content: document.content, // Save old content as version
-        updatedById: req.userId
+        format: document.format,
+        updatedById: req.userId,
+        kind: 'save'
       }, { transaction });
     }
 
     // Update document with new content
     document.content = content;
-    const versionCount = await DocumentVersion.count({ 
-      where: { documentId: document.id },
-      transaction 
-    });
-    document.currentVersion = versionCount;
+    document.currentVersion += 1;
     await document.save({ transaction });
 
     await transaction.commit();
 
+    // Merge the change into open editors instead of letting their next autosave overwrite it
+    documentEvents.emit('document-content-updated', {
+      documentId: document.id,
+      previousContent,
+      content,
+      version: document.currentVersion,
+      userId: req.userId
+    });
+    await lobby.documentUpdated(document.id);
+
     // Fetch updated document with associations
     const updatedDocument = await Document.findByPk(document.id, {
       include: [
@@ -149,7 +505,8 @@ router.put('/:id', authMiddleware, async (req, res) => {
       ]
     });
 
-    console.log(`✅ Document ${req.params.id} updated by user ${req.userId}, version ${versionCount}`);
+    console.log(`✅ Document ${req.params.id} updated by user ${req.userId}, version ${document.currentVersion}`);
+    res.set('ETag', documentETag(updatedDocument));
     res.json(updatedDocument);
   } catch (error) {
     await transaction.rollback();
@@ -158,16 +515,372 @@ router.put('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// Delete a document (public - everyone can delete)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// Convert a plain-text document to rich text (editor or owner). Send
+// { "format": "rich" }; there is no way back to plain text. The plain text is
+// kept as a version, and open editors get the converted content including
+// their unsaved edits.
+router.post('/:id/convert', authMiddleware, requireDocumentAccess('edit'), async (req, res) => {
+  try {
+    if (req.body.format !== 'rich') {
+      return res.status(400).json({ message: 'Documents can only be converted to rich text ({ "format": "rich" })' });
+    }
+
+    const { document, version } = await convertDocumentToRichText(req.params.id, req.userId);
+
+    documentEvents.emit('document-format-changed', {
+      documentId: document.id,
+      format: document.format,
+      version,
+      userId: req.userId
+    });
+    await lobby.documentUpdated(document.id);
+
+    const updatedDocument = await Document.findByPk(document.id, {
+      include: [
+        { model: User, as: 'collaborators', attributes: ['id', 'username', 'email'] }
+      ]
+    });
+
+    console.log(`✅ Document ${document.id} converted to rich text by user ${req.userId}`);
+    res.set('ETag', documentETag(updatedDocument));
+    res.json(updatedDocument);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Convert document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a copy of the document's content as a new template (viewer or above).
+// Optional name (defaults to the document title), title pattern,
+// description, tags and workspaceId, as for POST /api/templates.
+router.post('/:id/save-as-template', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
   try {
     const document = await Document.findByPk(req.params.id);
 
+    const { values, error } = parseTemplateFields({
+      name: document.title,
+      description: document.description,
+      tags: document.tags,
+      ...req.body
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const location = await resolveTemplateWorkspace(req.body.workspaceId, req.userId);
+    if (location.error) {
+      return res.status(location.status).json({ message: location.error });
+    }
+
+    const template = await createTemplate({
+      fields: { ...values, format: document.format, workspaceId: location.workspaceId },
+      content: document.content || '',
+      userId: req.userId
+    });
+
+    console.log(`✅ Document ${document.id} saved as template ${template.id} by user ${req.userId}`);
+    res.status(201).json({ ...template.toJSON(), role: 'owner', placeholders: templatePlaceholders(template) });
+  } catch (error) {
+    console.error('Save as template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Copy a document (viewer or above). Optional title (defaults to "Copy of
+// <title>"), versionId to copy a stored version, includeHistory,
+// includeCollaborators, and workspaceId/folderId; without a location the copy
+// goes next to the original when the user may add documents there. The copy
+// records the document and version it was forked from.
+router.post('/:id/duplicate', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const { versionId, includeHistory = false, includeCollaborators = false } = req.body;
+    if (typeof includeHistory !== 'boolean' || typeof includeCollaborators !== 'boolean') {
+      return res.status(400).json({ message: 'includeHistory and includeCollaborators must be booleans' });
+    }
+    if (versionId !== undefined && !Number.isInteger(versionId)) {
+      return res.status(400).json({ message: 'versionId must be an integer' });
+    }
+    // Copying the sharing settings is sharing, which only owners may do
+    if (includeCollaborators && !can(req.documentRole, 'manage')) {
+      return res.status(403).json({ message: 'Only owners can copy the collaborators' });
+    }
+
+    const original = await Document.findByPk(req.params.id, { attributes: ['id', 'title', 'workspaceId', 'folderId'] });
+    const { values, error } = parseMetadata({ title: req.body.title || `Copy of ${original.title}`.slice(0, 255) });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    let location;
+    if (req.body.workspaceId !== undefined || req.body.folderId !== undefined) {
+      location = await resolveNewDocumentLocation(req.body, req.userId);
+      if (location.error) {
+        return res.status(location.status || 400).json({ message: location.error });
+      }
+    } else {
+      const role = original.workspaceId
+        ? await getContainerRole(original.workspaceId, original.folderId, req.userId)
+        : null;
+      location = can(role, 'edit')
+        ? { workspaceId: original.workspaceId, folderId: original.folderId }
+        : { workspaceId: null, folderId: null };
+    }
+
+    const document = await duplicateDocument(original.id, req.userId, {
+      title: values.title,
+      versionId,
+      includeHistory,
+      includeCollaborators,
+      workspaceId: location.workspaceId,
+      folderId: location.folderId
+    });
+
+    const createdDocument = await Document.findByPk(document.id, {
+      include: [
+        { model: User, as: 'collaborators', attributes: ['id', 'username', 'email'] }
+      ]
+    });
+
+    console.log(`✅ Document ${original.id} duplicated as ${document.id} by user ${req.userId}`);
+    res.status(201).json(createdDocument);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Duplicate document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Documents forked from this one that the user can read (viewer or above),
+// newest first
+router.get('/:id/forks', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const readable = await accessibleDocumentIds(req.userId);
+    const forks = await Document.findAll({
+      where: { forkedFromDocumentId: req.params.id, id: readable },
+      attributes: ['id', 'title', 'format', 'workspaceId', 'folderId', 'forkedFromVersionId', 'createdAt', 'updatedAt'],
+      include: [
+        { model: User, as: 'collaborators', attributes: ['id', 'username'], through: { attributes: ['role'] } }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+    res.json(forks);
+  } catch (error) {
+    console.error('Get forks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Destination of a move from { workspaceId, folderId } in a request body.
+// A folder implies its workspace; a workspace alone means its top level and
+// null for both takes the document out of any workspace.
+async function resolveLocation(body) {
+  const folderId = body.folderId === undefined || body.folderId === null ? null : Number(body.folderId);
+  let workspaceId = body.workspaceId === undefined || body.workspaceId === null ? null : Number(body.workspaceId);
+  if (Number.isNaN(folderId) || Number.isNaN(workspaceId)) {
+    return { error: 'workspaceId and folderId must be ids or null' };
+  }
+
+  if (folderId) {
+    const folder = await Folder.findByPk(folderId);
+    if (!folder || (workspaceId && folder.workspaceId !== workspaceId)) {
+      return { error: 'Folder not found', status: 404 };
+    }
+    workspaceId = folder.workspaceId;
+  } else if (workspaceId) {
+    if (!(await Workspace.findByPk(workspaceId))) {
+      return { error: 'Workspace not found', status: 404 };
+    }
+  }
+  return { workspaceId, folderId };
+}
+
+// Like resolveLocation, for a new document: also checks the user may add
+// documents there (editor or above)
+async function resolveNewDocumentLocation(body, userId) {
+  const location = await resolveLocation(body);
+  if (location.error || !location.workspaceId) {
+    return location;
+  }
+
+  const role = await getContainerRole(location.workspaceId, location.folderId, userId);
+  if (!can(role, 'edit')) {
+    return { error: 'You cannot add documents to this workspace or folder', status: 403 };
+  }
+  return location;
+}
+
+// Edit title, description or tags, or move the document to another workspace
+// or folder (editor or owner). Only the fields sent are changed; the change is
+// recorded in the metadata history, not as a content version.
+router.patch('/:id', authMiddleware, requireDocumentAccess('edit'), async (req, res) => {
+  try {
+    const { values, error } = parseMetadata(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const moving = req.body.workspaceId !== undefined || req.body.folderId !== undefined;
+    if (Object.keys(values).length === 0 && !moving) {
+      return res.status(400).json({ message: 'Nothing to update: send title, description, tags, workspaceId or folderId' });
+    }
+
+    const document = await Document.findByPk(req.params.id);
     if (!document) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
+    const changes = diffMetadata(document, values);
+    let membersBefore = null;
+    if (moving) {
+      const location = await resolveLocation(req.body);
+      if (location.error) {
+        return res.status(location.status || 400).json({ message: location.error });
+      }
+
+      const { workspaceId, folderId } = location;
+      if (workspaceId !== document.workspaceId || folderId !== document.folderId) {
+        // Taking a document out of a workspace removes inherited access
+        if (document.workspaceId && workspaceId !== document.workspaceId && !can(req.documentRole, 'manage')) {
+          return res.status(403).json({ message: 'Only owners can move a document out of its workspace' });
+        }
+        if (workspaceId) {
+          const destinationRole = await getContainerRole(workspaceId, folderId, req.userId);
+          if (!can(destinationRole, 'edit')) {
+            return res.status(403).json({ message: 'You cannot add documents to the destination' });
+          }
+        }
+
+        if (workspaceId !== document.workspaceId) {
+          changes.workspaceId = { from: document.workspaceId, to: workspaceId };
+        }
+        if (folderId !== document.folderId) {
+          changes.folderId = { from: document.folderId, to: folderId };
+        }
+        membersBefore = await getDocumentMembers(document.id);
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      const sequelize = require('../config/database');
+      await sequelize.transaction(async (transaction) => {
+        Object.keys(changes).forEach((field) => {
+          document[field] = changes[field].to;
+        });
+        await document.save({ transaction });
+        await DocumentMetadataChange.create({
+          documentId: document.id,
+          changedById: req.userId,
+          changes
+        }, { transaction });
+      });
+
+      documentEvents.emit('room-event', {
+        documentId: document.id,
+        event: 'metadata-updated',
+        data: {
+          title: document.title,
+          description: document.description,
+          tags: document.tags,
+          workspaceId: document.workspaceId,
+          folderId: document.folderId,
+          changes,
+          userId: req.userId
+        }
+      });
+      await lobby.documentUpdated(document.id);
+      if (membersBefore) {
+        await notifyMoveAccessChanges(document.id, membersBefore);
+      }
+
+      console.log(`✅ Document ${document.id} metadata (${Object.keys(changes).join(', ')}) updated by user ${req.userId}`);
+    }
+
+    const updatedDocument = await Document.findByPk(document.id, {
+      include: [
+        { model: User, as: 'collaborators', attributes: ['id', 'username', 'email'] }
+      ]
+    });
+    res.json(updatedDocument);
+  } catch (error) {
+    console.error('Update metadata error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// History of title, description, tag and location changes, newest first (viewer or above)
+router.get('/:id/metadata-history', guestAuthMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const history = await DocumentMetadataChange.findAll({
+      where: { documentId: req.params.id },
+      include: [{ model: User, as: 'changedBy', attributes: req.shareLinkId ? ['id', 'username'] : ['id', 'username', 'email'] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json(history);
+  } catch (error) {
+    console.error('Get metadata history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a document as ?format=md|html|pdf|docx|txt, with its title and
+// metadata. ?versionId= exports a stored version instead of the current
+// content (viewer or above; share link guests get the current content only).
+router.get('/:id/export', guestAuthMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const format = String(req.query.format || '');
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const document = await Document.findByPk(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    let version = null;
+    if (req.query.versionId) {
+      if (req.shareLinkId) {
+        return res.status(403).json({ message: 'Share link guests cannot export versions' });
+      }
+      const versions = await versionStore.loadVersions(document.id);
+      version = versions.find(v => v.id === Number(req.query.versionId));
+      if (!version) {
+        return res.status(404).json({ message: 'Version not found' });
+      }
+    }
+
+    const buffer = await renderExport(format, exportModel(document, version));
+    res.attachment(exportFileName(document.title, format));
+    res.type(EXPORT_FORMATS[format].contentType);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a document (owner only)
+router.delete('/:id', authMiddleware, requireDocumentAccess('manage'), async (req, res) => {
+  try {
+    const document = await Document.findByPk(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    // Collaborator rows go with the document, so collect who to notify first
+    const userIds = await lobby.accessibleUserIds(document.id);
     await document.destroy();
+
+    // Eject everyone who has it open, then update everyone's document list
+    documentEvents.emit('document-deleted', { documentId: document.id, deletedBy: req.userId });
+    await lobby.documentDeleted(document.id, userIds, { deletedBy: req.userId });
+
     res.json({ message: 'Document deleted successfully' });
   } catch (error) {
     console.error('Delete document error:', error);
@@ -175,8 +888,10 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// Get document versions (public - everyone can view)
-router.get('/:id/versions', authMiddleware, async (req, res) => {
+// Get document versions (viewer or above).
+// Optional filters: ?kind=save,revert  ?hideAutosaves=true  ?named=true
+// Each version carries its `index` for revert and diff, also when filtered.
+router.get('/:id/versions', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
   try {
     const document = await Document.findByPk(req.params.id);
 
@@ -184,11 +899,21 @@ router.get('/:id/versions', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Document not found' });
     }
 
-    const versions = await DocumentVersion.findAll({
-      where: { documentId: req.params.id },
-      include: [{ model: User, as: 'updatedBy', attributes: ['id', 'username', 'email'] }],
-      order: [['createdAt', 'ASC']]
+    let versions = await versionStore.loadVersions(req.params.id, {
+      include: [{ model: User, as: 'updatedBy', attributes: ['id', 'username', 'email'] }]
     });
+    versions.forEach((version, index) => version.setDataValue('index', index));
+
+    if (req.query.kind) {
+      const kinds = String(req.query.kind).split(',');
+      versions = versions.filter(version => kinds.includes(version.kind));
+    }
+    if (req.query.hideAutosaves === 'true') {
+      versions = versions.filter(version => version.kind !== 'autosave' || version.name);
+    }
+    if (req.query.named === 'true') {
+      versions = versions.filter(version => version.name);
+    }
 
     res.json(versions);
   } catch (error) {
@@ -197,15 +922,110 @@ router.get('/:id/versions', authMiddleware, async (req, res) => {
   }
 });
 
-// Revert to a specific version (public - everyone can revert)
-router.post('/:id/revert/:versionIndex', authMiddleware, async (req, res) => {
+// Name or describe an existing version (editor or owner).
+// Named versions are never removed by version pruning.
+router.patch('/:id/versions/:versionId', authMiddleware, requireDocumentAccess('edit'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const version = await DocumentVersion.findOne({
+      where: { id: req.params.versionId, documentId: req.params.id }
+    });
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    if (name !== undefined) {
+      if (name !== null && (typeof name !== 'string' || name.length > 255)) {
+        return res.status(400).json({ message: 'Name must be a string of at most 255 characters' });
+      }
+      version.name = name ? name.trim() || null : null;
+    }
+    if (description !== undefined) {
+      if (description !== null && (typeof description !== 'string' || description.length > 2000)) {
+        return res.status(400).json({ message: 'Description must be a string of at most 2000 characters' });
+      }
+      version.description = description ? description.trim() || null : null;
+    }
+    await version.save();
+
+    // Return the version with its full content like the versions list does
+    const versions = await versionStore.loadVersions(req.params.id, {
+      include: [{ model: User, as: 'updatedBy', attributes: ['id', 'username', 'email'] }]
+    });
+    const index = versions.findIndex(v => v.id === version.id);
+    versions[index].setDataValue('index', index);
+
+    console.log(`✅ Version ${version.id} of document ${req.params.id} labelled by user ${req.userId}`);
+    res.json(versions[index]);
+  } catch (error) {
+    console.error('Label version error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Diff two versions (viewer or above). Versions are addressed by the same
+// createdAt-ordered indexes as revert; "current" means the document content.
+// Omitting :b diffs against the current content.
+router.get('/:id/versions/:a/diff{/:b}', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const document = await Document.findByPk(req.params.id);
+
+    const versions = await versionStore.loadVersions(req.params.id, {
+      include: [{ model: User, as: 'updatedBy', attributes: ['id', 'username', 'email'] }]
+    });
+
+    const resolve = (ref) => {
+      if (ref === undefined || ref === 'current') {
+        return {
+          source: { index: 'current', updatedAt: document.updatedAt, version: document.currentVersion },
+          content: document.content || ''
+        };
+      }
+
+      const index = Number(ref);
+      if (!Number.isInteger(index) || index < 0 || index >= versions.length) {
+        return null;
+      }
+
+      const version = versions[index];
+      return {
+        source: { index, versionId: version.id, createdAt: version.createdAt, updatedBy: version.updatedBy },
+        content: version.content
+      };
+    };
+
+    const from = resolve(req.params.a);
+    const to = resolve(req.params.b);
+    if (!from || !to) {
+      return res.status(400).json({ message: 'Invalid version index' });
+    }
+
+    res.json({
+      from: from.source,
+      to: to.source,
+      ...diffText(from.content, to.content)
+    });
+  } catch (error) {
+    console.error('Diff versions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revert a document to one of its versions without losing history: the
+// current content is kept as a version, and a new "revert" version records
+// which version was restored and by whom. `selectVersion` picks the target
+// from the createdAt-ordered versions.
+async function revertDocument(req, res, selectVersion) {
   const sequelize = require('../config/database');
   const transaction = await sequelize.transaction();
   
   try {
-    const { id, versionIndex } = req.params;
+    const { id } = req.params;
+    // Lock the row so concurrent saves and reverts write one after another
     const document = await Document.findByPk(id, {
-      include: [{ model: User, as: 'collaborators' }],
+      lock: transaction.LOCK.UPDATE,
       transaction
     });
 
@@ -214,45 +1034,64 @@ router.post('/:id/revert/:versionIndex', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Document not found' });
     }
 
-    const versions = await DocumentVersion.findAll({
-      where: { documentId: id },
-      order: [['createdAt', 'ASC']],
-      transaction
-    });
+    const versions = await versionStore.loadVersions(id, { transaction });
+    const target = selectVersion(versions);
 
-    const index = parseInt(versionIndex);
-    if (index < 0 || index >= versions.length) {
+    if (!target) {
       await transaction.rollback();
-      return res.status(400).json({ message: 'Invalid version index' });
+      return res.status(400).json({ message: 'Invalid version' });
     }
 
+    const targetIndex = versions.indexOf(target);
+    // Versions from before a conversion to rich text are converted again
+    const restoredContent = target.format === document.format
+      ? target.content
+      : convertTextContent(target.content).content;
+
     // Get last version to avoid duplicates
-    const lastVersion = await DocumentVersion.findOne({
-      where: { documentId: document.id },
-      order: [['createdAt', 'DESC']],
-      transaction
-    });
+    const lastVersion = await versionStore.getLatestVersion(document.id, { transaction });
 
     // Save current content as new version before reverting (only if different)
     if (!lastVersion || lastVersion.content !== document.content) {
-      await DocumentVersion.create({
+      await versionStore.createVersion({
         documentId: document.id,
         content: document.content,
-        updatedById: req.userId
+        format: document.format,
+        updatedById: req.userId,
+        kind: 'save'
       }, { transaction });
     }
 
+    // Record the revert itself as a version holding the restored content
+    const user = await User.findByPk(req.userId, { attributes: ['username'], transaction });
+    const revertVersion = await versionStore.createVersion({
+      documentId: document.id,
+      content: restoredContent,
+      format: document.format,
+      updatedById: req.userId,
+      kind: 'revert',
+      revertedFromVersionId: target.id,
+      description: `Reverted to version ${target.name ? `"${target.name}"` : targetIndex} by ${user ? user.username : `user ${req.userId}`}`
+    }, { transaction });
+
     // Revert to selected version
-    document.content = versions[index].content;
-    const versionCount = await DocumentVersion.count({ 
-      where: { documentId: document.id },
-      transaction 
-    });
-    document.currentVersion = versionCount;
+    document.content = restoredContent;
+    document.currentVersion += 1;
     await document.save({ transaction });
 
     await transaction.commit();
 
+    // Open editors must reload rather than autosave over the revert
+    documentEvents.emit('document-reverted', {
+      documentId: document.id,
+      content: document.content,
+      version: document.currentVersion,
+      versionId: revertVersion.id,
+      revertedFromVersionId: target.id,
+      userId: req.userId
+    });
+    await lobby.documentUpdated(document.id);
+
     // Fetch updated document with associations
     const updatedDocument = await Document.findByPk(document.id, {
       include: [
@@ -260,13 +1099,253 @@ router.post('/:id/revert/:versionIndex', authMiddleware, async (req, res) => {
       ]
     });
 
-    console.log(`✅ Document ${id} reverted to version ${index} by user ${req.userId}`);
+    console.log(`✅ Document ${id} reverted to version ${target.id} by user ${req.userId}`);
     res.json(updatedDocument);
   } catch (error) {
     await transaction.rollback();
     console.error('❌ Revert version error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
+}
+
+// Revert to a version by its stable id (editor or owner)
+router.post('/:id/versions/:versionId/revert', authMiddleware, requireDocumentAccess('edit'), (req, res) =>
+  revertDocument(req, res, versions => versions.find(v => v.id === Number(req.params.versionId)))
+);
+
+// Revert to a version by list position (editor or owner).
+// Deprecated: the index can shift as versions are added or pruned.
+router.post('/:id/revert/:versionIndex', authMiddleware, requireDocumentAccess('edit'), (req, res) =>
+  revertDocument(req, res, (versions) => {
+    const index = parseInt(req.params.versionIndex);
+    return index >= 0 && index < versions.length ? versions[index] : null;
+  })
+);
+
+// Get collaborators (viewer or above)
+router.get('/:id/collaborators', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    res.json(await fetchCollaborators(req.params.id));
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a collaborator by username or email (owner only)
+router.post('/:id/collaborators', authMiddleware, requireDocumentAccess('manage'), async (req, res) => {
+  try {
+    const { username, email, role = 'viewer' } = req.body;
+
+    if (!username && !email) {
+      return res.status(400).json({ message: 'Username or email is required' });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const user = await User.findOne({ where: username ? { username } : { email } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const existing = await DocumentCollaborator.findOne({
+      where: { documentId: req.params.id, userId: user.id }
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'User is already a collaborator' });
+    }
+
+    const roleBefore = await getDocumentRole(req.params.id, user.id);
+    await DocumentCollaborator.create({
+      documentId: req.params.id,
+      userId: user.id,
+      role
+    });
+
+    // Open editors get the effective role, which may come from the workspace
+    const collaborators = await fetchCollaborators(req.params.id);
+    documentEvents.emit('collaborator-changed', {
+      documentId: req.params.id,
+      userId: user.id,
+      role: await getDocumentRole(req.params.id, user.id),
+      collaborators
+    });
+    if (!roleBefore) {
+      await lobby.documentCreated(req.params.id, { userIds: [user.id], reason: 'shared' });
+    }
+
+    console.log(`✅ User ${user.id} added to document ${req.params.id} as ${role} by user ${req.userId}`);
+    res.status(201).json(collaborators);
+  } catch (error) {
+    console.error('Add collaborator error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a collaborator's role (owner only)
+router.patch('/:id/collaborators/:userId', authMiddleware, requireDocumentAccess('manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const collaborator = await DocumentCollaborator.findOne({
+      where: { documentId: req.params.id, userId: req.params.userId }
+    });
+    if (!collaborator) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    if (collaborator.role === 'owner' && role !== 'owner') {
+      const ownerCount = await DocumentCollaborator.count({
+        where: { documentId: req.params.id, role: 'owner' }
+      });
+      if (ownerCount <= 1) {
+        return res.status(400).json({ message: 'A document must keep at least one owner' });
+      }
+    }
+
+    collaborator.role = role;
+    await collaborator.save();
+
+    const collaborators = await fetchCollaborators(req.params.id);
+    documentEvents.emit('collaborator-changed', {
+      documentId: req.params.id,
+      userId: collaborator.userId,
+      role: await getDocumentRole(req.params.id, collaborator.userId),
+      collaborators
+    });
+
+    res.json(collaborators);
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a collaborator (owner only, or any user removing themselves)
+router.delete('/:id/collaborators/:userId', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const isSelf = Number(req.params.userId) === req.userId;
+    if (!isSelf && !can(req.documentRole, 'manage')) {
+      return res.status(403).json({ message: `Your role (${req.documentRole}) does not allow this action` });
+    }
+
+    const collaborator = await DocumentCollaborator.findOne({
+      where: { documentId: req.params.id, userId: req.params.userId }
+    });
+    if (!collaborator) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    if (collaborator.role === 'owner') {
+      const ownerCount = await DocumentCollaborator.count({
+        where: { documentId: req.params.id, role: 'owner' }
+      });
+      if (ownerCount <= 1) {
+        return res.status(400).json({ message: 'A document must keep at least one owner' });
+      }
+    }
+
+    await collaborator.destroy();
+
+    // Access inherited from the workspace or a folder survives the removal
+    const roleAfter = await getDocumentRole(req.params.id, collaborator.userId);
+    const collaborators = await fetchCollaborators(req.params.id);
+    documentEvents.emit('collaborator-changed', {
+      documentId: req.params.id,
+      userId: collaborator.userId,
+      role: roleAfter,
+      collaborators
+    });
+    if (!roleAfter) {
+      await lobby.documentDeleted(req.params.id, [collaborator.userId], { reason: 'access-revoked' });
+    }
+
+    console.log(`✅ User ${collaborator.userId} removed from document ${req.params.id} by user ${req.userId}`);
+    res.json(collaborators);
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List share links (owner only)
+router.get('/:id/share-links', authMiddleware, requireDocumentAccess('manage'), async (req, res) => {
+  try {
+    const links = await DocumentShareLink.findAll({
+      where: { documentId: req.params.id },
+      include: [{ model: User, as: 'createdBy', attributes: ['id', 'username', 'email'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json(links);
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a share link (owner only)
+router.post('/:id/share-links', authMiddleware, requireDocumentAccess('manage'), async (req, res) => {
+  try {
+    const { role = 'viewer', expiresAt, maxUses } = req.body;
+
+    if (!['viewer', 'editor'].includes(role)) {
+      return res.status(400).json({ message: 'Share link role must be viewer or editor' });
+    }
+
+    if (expiresAt && (isNaN(Date.parse(expiresAt)) || new Date(expiresAt) <= new Date())) {
+      return res.status(400).json({ message: 'expiresAt must be a future date' });
+    }
+
+    if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      return res.status(400).json({ message: 'maxUses must be a positive integer' });
+    }
+
+    const link = await DocumentShareLink.create({
+      documentId: req.params.id,
+      token: crypto.randomBytes(24).toString('base64url'),
+      role,
+      expiresAt: expiresAt || null,
+      maxUses: maxUses || null,
+      createdById: req.userId
+    });
+
+    console.log(`✅ Share link ${link.id} created for document ${req.params.id} by user ${req.userId}`);
+    res.status(201).json(link);
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a share link (owner only). Guests using it are removed from the room.
+router.delete('/:id/share-links/:linkId', authMiddleware, requireDocumentAccess('manage'), async (req, res) => {
+  try {
+    const link = await DocumentShareLink.findOne({
+      where: { id: req.params.linkId, documentId: req.params.id }
+    });
+
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+      documentEvents.emit('share-link-revoked', { documentId: link.documentId, shareLinkId: link.id });
+    }
+
+    res.json({ message: 'Share link revoked successfully' });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router;
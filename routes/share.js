@@ -0,0 +1,138 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { Op, col, literal } = require('sequelize');
+const { Document, DocumentCollaborator } = require('../models/Document');
+const DocumentShareLink = require('../models/DocumentShareLink');
+const authMiddleware = require('../middleware/auth');
+const { hasRole, getDocumentRole } = require('../utils/permissions');
+const documentEvents = require('../utils/documentEvents');
+const { fetchCollaborators } = require('../utils/collaborators');
+const lobby = require('../utils/lobby');
+
+const router = express.Router();
+
+// Count one use of a share link. Returns the link, or null if it is
+// revoked, expired or has no uses left.
+async function redeemShareLink(token) {
+  const link = await DocumentShareLink.findOne({ where: { token } });
+  if (!link || !link.canBeUsed()) {
+    return null;
+  }
+
+  // Conditional increment so concurrent opens cannot exceed maxUses
+  const [updated] = await DocumentShareLink.update(
+    { useCount: literal('"useCount" + 1') },
+    {
+      where: {
+        id: link.id,
+        [Op.or]: [{ maxUses: null }, { useCount: { [Op.lt]: col('maxUses') } }]
+      }
+    }
+  );
+
+  return updated ? link : null;
+}
+
+// The guest token for this link that the request already carries, if any
+function currentGuestToken(req, link) {
+  const bearer = req.header('Authorization')?.replace('Bearer ', '');
+  if (!bearer) {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(bearer, process.env.JWT_SECRET);
+    return decoded.guest && decoded.shareLinkId === link.id ? bearer : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Open a share link without an account. Returns a guest token that works
+// with GET /api/documents/:id and the join-document socket event. A use is
+// counted when a guest token is issued; a guest opening the link again with
+// the token they were given keeps it without using up another.
+router.get('/:token', async (req, res) => {
+  try {
+    let link = await DocumentShareLink.findOne({ where: { token: req.params.token } });
+    let guestToken = link && link.isActive() ? currentGuestToken(req, link) : null;
+    if (!guestToken) {
+      link = await redeemShareLink(req.params.token);
+    }
+    if (!link) {
+      return res.status(404).json({ message: 'Share link is invalid or has expired' });
+    }
+
+    const document = await Document.findByPk(link.documentId, { attributes: ['id', 'title'] });
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (!guestToken) {
+      guestToken = jwt.sign(
+        { guest: true, shareLinkId: link.id, documentId: link.documentId },
+        process.env.JWT_SECRET,
+        { expiresIn: '7d' }
+      );
+    }
+
+    res.json({
+      token: guestToken,
+      role: link.role,
+      document: { id: document.id, title: document.title }
+    });
+  } catch (error) {
+    console.error('Open share link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Attach a shared document to the logged-in user's account
+router.post('/:token/accept', authMiddleware, async (req, res) => {
+  try {
+    const link = await redeemShareLink(req.params.token);
+    if (!link) {
+      return res.status(404).json({ message: 'Share link is invalid or has expired' });
+    }
+
+    const existing = await DocumentCollaborator.findOne({
+      where: { documentId: link.documentId, userId: req.userId }
+    });
+    const roleBefore = await getDocumentRole(link.documentId, req.userId);
+
+    // Never downgrade an existing role through a link
+    if (!existing || !hasRole(existing.role, link.role)) {
+      if (existing) {
+        existing.role = link.role;
+        await existing.save();
+      } else {
+        await DocumentCollaborator.create({
+          documentId: link.documentId,
+          userId: req.userId,
+          role: link.role
+        });
+      }
+
+      documentEvents.emit('collaborator-changed', {
+        documentId: link.documentId,
+        userId: req.userId,
+        role: await getDocumentRole(link.documentId, req.userId),
+        collaborators: await fetchCollaborators(link.documentId)
+      });
+      if (!roleBefore) {
+        await lobby.documentCreated(link.documentId, { userIds: [req.userId], reason: 'shared' });
+      }
+    }
+
+    const collaborator = await DocumentCollaborator.findOne({
+      where: { documentId: link.documentId, userId: req.userId }
+    });
+
+    console.log(`✅ User ${req.userId} joined document ${link.documentId} through share link ${link.id}`);
+    res.json({ documentId: link.documentId, role: collaborator.role });
+  } catch (error) {
+    console.error('Accept share link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
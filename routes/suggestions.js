@@ -0,0 +1,78 @@
+const express = require('express');
+const Suggestion = require('../models/Suggestion');
+const authMiddleware = require('../middleware/auth');
+const requireDocumentAccess = require('../middleware/documentAccess');
+const { can } = require('../utils/permissions');
+const { loadSuggestion } = require('../utils/suggestions');
+const { requestOnOwner } = require('../utils/roomOwner');
+
+// Mounted at /api/documents/:id/suggestions
+const router = express.Router({ mergeParams: true });
+
+// List suggestions (viewer or above). ?status=pending|accepted|rejected filters.
+router.get('/', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    const where = { documentId: req.params.id };
+    if (['pending', 'accepted', 'rejected'].includes(req.query.status)) {
+      where.status = req.query.status;
+    }
+
+    const suggestions = await Suggestion.findAll({
+      where,
+      attributes: ['id'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json(await Promise.all(suggestions.map(s => loadSuggestion(s.id))));
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept a suggestion (editor or owner). The change is applied and saved as a version.
+router.post('/:suggestionId/accept', authMiddleware, requireDocumentAccess('edit'), async (req, res) => {
+  try {
+    // Applied by the owner of the document's room, like live edits
+    const suggestion = await requestOnOwner(req.params.id, 'accept-suggestion', {
+      suggestionId: req.params.suggestionId,
+      userId: req.userId
+    });
+    console.log(`✅ Suggestion ${suggestion.id} accepted on document ${req.params.id} by user ${req.userId}`);
+    res.json(suggestion);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Accept suggestion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject a suggestion (editor or owner, or the author withdrawing it)
+router.post('/:suggestionId/reject', authMiddleware, requireDocumentAccess('read'), async (req, res) => {
+  try {
+    if (!can(req.documentRole, 'edit')) {
+      const own = await Suggestion.findOne({
+        where: { id: req.params.suggestionId, documentId: req.params.id, authorId: req.userId }
+      });
+      if (!own) {
+        return res.status(403).json({ message: `Your role (${req.documentRole}) does not allow this action` });
+      }
+    }
+
+    const suggestion = await requestOnOwner(req.params.id, 'reject-suggestion', {
+      suggestionId: req.params.suggestionId,
+      userId: req.userId
+    });
+    res.json(suggestion);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Reject suggestion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
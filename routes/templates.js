@@ -0,0 +1,272 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Template, TemplateVersion } = require('../models/Template');
+const { Workspace } = require('../models/Workspace');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const requireTemplateAccess = require('../middleware/templateAccess');
+const { CONTENT_FORMATS, normalizeContent, emptyRichText } = require('../utils/richText');
+const {
+  BUILT_IN_PLACEHOLDERS,
+  templateVersions,
+  parseTemplateFields,
+  resolveTemplateWorkspace,
+  visibleTemplatesWhere,
+  templatePlaceholders,
+  createTemplate
+} = require('../utils/templates');
+const { parseContainerQuery } = require('../utils/workspaces');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const TEMPLATE_INCLUDE = [
+  { model: User, as: 'owner', attributes: ['id', 'username'] },
+  { model: Workspace, as: 'workspace', attributes: ['id', 'name'] }
+];
+
+// A template as returned by the API: with the caller's role and the
+// placeholders it uses
+async function templateResponse(templateId, role) {
+  const template = await Template.findByPk(templateId, { include: TEMPLATE_INCLUDE });
+  return { ...template.toJSON(), role, placeholders: templatePlaceholders(template) };
+}
+
+// Templates the user can use: their own and those shared in their
+// workspaces. Optional ?scope=personal|shared, ?workspaceId= and ?tag=a,b.
+// Content is left out; fetch a template to get it.
+router.get('/', async (req, res) => {
+  try {
+    const { values: container, error } = parseContainerQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const where = [await visibleTemplatesWhere(req.userId)];
+    if (req.query.scope === 'personal') {
+      where.push({ workspaceId: null, ownerId: req.userId });
+    } else if (req.query.scope === 'shared') {
+      where.push({ workspaceId: { [Op.ne]: null } });
+    }
+    if (container.workspaceId) {
+      where.push({ workspaceId: container.workspaceId });
+    }
+    if (req.query.tag) {
+      where.push({ tags: { [Op.contains]: String(req.query.tag).split(',').map(tag => tag.trim()) } });
+    }
+
+    const templates = await Template.findAll({
+      where: { [Op.and]: where },
+      attributes: { exclude: ['content'] },
+      include: TEMPLATE_INCLUDE,
+      order: [['name', 'ASC'], ['id', 'ASC']]
+    });
+    res.json(templates);
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a template. Without workspaceId it is personal; with it, it is
+// shared with the workspace's members (editor or above there).
+router.post('/', async (req, res) => {
+  try {
+    const { format = 'text' } = req.body;
+    if (req.body.name === undefined) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    if (!CONTENT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${CONTENT_FORMATS.join(', ')}` });
+    }
+
+    const { values, error } = parseTemplateFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const emptyContent = format === 'rich' ? emptyRichText() : '';
+    const { content, error: contentInvalid } = normalizeContent(format, req.body.content || emptyContent);
+    if (contentInvalid) {
+      return res.status(400).json({ message: contentInvalid });
+    }
+
+    const location = await resolveTemplateWorkspace(req.body.workspaceId, req.userId);
+    if (location.error) {
+      return res.status(location.status).json({ message: location.error });
+    }
+
+    const template = await createTemplate({
+      fields: { ...values, format, workspaceId: location.workspaceId },
+      content,
+      userId: req.userId
+    });
+
+    console.log(`✅ Template ${template.id} created by user ${req.userId}`);
+    res.status(201).json(await templateResponse(template.id, 'owner'));
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Placeholders every template can use without passing variables
+router.get('/placeholders', (req, res) => {
+  res.json(BUILT_IN_PLACEHOLDERS);
+});
+
+router.get('/:templateId', requireTemplateAccess('read'), async (req, res) => {
+  try {
+    res.json(await templateResponse(req.template.id, req.templateRole));
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a template (editor or above). Only the fields sent are changed.
+// New content keeps the previous content as a version, like document
+// updates. Moving it between personal and a workspace (workspaceId) needs
+// the owner role on the template.
+router.put('/:templateId', requireTemplateAccess('edit'), async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { values, error } = parseTemplateFields(req.body);
+    if (error) {
+      await transaction.rollback();
+      return res.status(400).json({ message: error });
+    }
+
+    const template = await Template.findByPk(req.template.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+    const workspaceId = req.body.workspaceId === null ? null : Number(req.body.workspaceId);
+    if (req.body.workspaceId !== undefined && workspaceId !== template.workspaceId) {
+      if (req.templateRole !== 'owner') {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'Only owners can move a template' });
+      }
+      const location = await resolveTemplateWorkspace(req.body.workspaceId, req.userId);
+      if (location.error) {
+        await transaction.rollback();
+        return res.status(location.status).json({ message: location.error });
+      }
+      values.workspaceId = location.workspaceId;
+    }
+
+    if (req.body.content !== undefined) {
+      const { content, error: contentInvalid } = normalizeContent(template.format, req.body.content);
+      if (contentInvalid) {
+        await transaction.rollback();
+        return res.status(400).json({ message: contentInvalid });
+      }
+
+      if (content !== template.content) {
+        // Save the OLD content as a version before updating, unless it is
+        // already the latest one
+        const lastVersion = await templateVersions.getLatestVersion(template.id, { transaction });
+        if (!lastVersion || lastVersion.content !== template.content) {
+          await templateVersions.createVersion({
+            templateId: template.id,
+            content: template.content,
+            format: template.format,
+            updatedById: req.userId,
+            kind: 'save'
+          }, { transaction });
+        }
+        values.content = content;
+        values.currentVersion = await TemplateVersion.count({ where: { templateId: template.id }, transaction });
+      }
+    }
+
+    await template.update(values, { transaction });
+    await transaction.commit();
+
+    res.json(await templateResponse(template.id, req.templateRole));
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Update template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a template and its versions (owner only). Documents created from it
+// are kept.
+router.delete('/:templateId', requireTemplateAccess('manage'), async (req, res) => {
+  try {
+    await req.template.destroy();
+    console.log(`✅ Template ${req.template.id} deleted by user ${req.userId}`);
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Template versions, oldest first, each with its content and index
+router.get('/:templateId/versions', requireTemplateAccess('read'), async (req, res) => {
+  try {
+    const versions = await templateVersions.loadVersions(req.template.id, {
+      include: [{ model: User, as: 'updatedBy', attributes: ['id', 'username', 'email'] }]
+    });
+    versions.forEach((version, index) => version.setDataValue('index', index));
+    res.json(versions);
+  } catch (error) {
+    console.error('Get template versions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revert a template to one of its versions (editor or above). As with
+// documents, the current content is kept as a version and a "revert" version
+// records what was restored.
+router.post('/:templateId/versions/:versionId/revert', requireTemplateAccess('edit'), async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const template = await Template.findByPk(req.template.id, { lock: transaction.LOCK.UPDATE, transaction });
+    const versions = await templateVersions.loadVersions(template.id, { transaction });
+    const target = versions.find(version => version.id === Number(req.params.versionId));
+    if (!target) {
+      await transaction.rollback();
+      return res.status(400).json({ message: 'Invalid version' });
+    }
+
+    const lastVersion = versions.reduce((latest, version) => (!latest || version.id > latest.id ? version : latest), null);
+    if (!lastVersion || lastVersion.content !== template.content) {
+      await templateVersions.createVersion({
+        templateId: template.id,
+        content: template.content,
+        format: template.format,
+        updatedById: req.userId,
+        kind: 'save'
+      }, { transaction });
+    }
+
+    const user = await User.findByPk(req.userId, { attributes: ['username'], transaction });
+    await templateVersions.createVersion({
+      templateId: template.id,
+      content: target.content,
+      format: template.format,
+      updatedById: req.userId,
+      kind: 'revert',
+      revertedFromVersionId: target.id,
+      description: `Reverted to version ${versions.indexOf(target)} by ${user ? user.username : `user ${req.userId}`}`
+    }, { transaction });
+
+    const versionCount = await TemplateVersion.count({ where: { templateId: template.id }, transaction });
+    await template.update({ content: target.content, currentVersion: versionCount }, { transaction });
+    await transaction.commit();
+
+    console.log(`✅ Template ${template.id} reverted to version ${target.id} by user ${req.userId}`);
+    res.json(await templateResponse(template.id, req.templateRole));
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Revert template version error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,448 @@
+const express = require('express');
+const { Workspace, WorkspaceMember, Folder, FolderMember } = require('../models/Workspace');
+const { Document } = require('../models/Document');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const { requireWorkspaceAccess, requireFolderAccess } = require('../middleware/workspaceAccess');
+const { isValidRole, can, getContainerRole, getFolderChain } = require('../utils/permissions');
+const {
+  documentsInContainer,
+  documentRoles,
+  notifyRoleChanges,
+  buildWorkspaceTree,
+  listVisibleWorkspaces
+} = require('../utils/workspaces');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+function parseName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+    return null;
+  }
+  return name.trim();
+}
+
+// parentId of a folder: null for the top level of the workspace. Returns
+// { value } with the id as an integer, or { error }.
+function parseParentId(parentId) {
+  if (parentId === undefined || parentId === null || parentId === '') {
+    return { value: null };
+  }
+  const id = typeof parentId === 'number' || typeof parentId === 'string' ? Number(parentId) : NaN;
+  if (!Number.isInteger(id) || id < 1) {
+    return { error: 'parentId must be a positive integer or null' };
+  }
+  return { value: id };
+}
+
+// Members of a workspace or folder with their user details
+async function listMembers(Model, where) {
+  return Model.findAll({
+    where,
+    include: [{ model: User, as: 'user', attributes: ['id', 'username', 'email'] }],
+    order: [['id', 'ASC']]
+  });
+}
+
+// Workspaces the user belongs to or can see documents in
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listVisibleWorkspaces(req.userId));
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a workspace; the creator owns it
+router.post('/', async (req, res) => {
+  try {
+    const name = parseName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ message: 'Name must be a non-empty string of at most 255 characters' });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      description: req.body.description || null,
+      createdById: req.userId
+    });
+    await WorkspaceMember.create({ workspaceId: workspace.id, userId: req.userId, role: 'owner' });
+
+    console.log(`✅ Workspace ${workspace.id} created by user ${req.userId}`);
+    res.status(201).json({ ...workspace.toJSON(), role: 'owner' });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Nested folders and documents the user can see
+router.get('/:workspaceId/tree', async (req, res) => {
+  try {
+    const workspace = await Workspace.findByPk(req.params.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const tree = await buildWorkspaceTree(workspace, req.userId);
+    if (!tree) {
+      return res.status(403).json({ message: 'You do not have access to this workspace' });
+    }
+    res.json(tree);
+  } catch (error) {
+    console.error('Get workspace tree error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename or describe a workspace (owner only)
+router.patch('/:workspaceId', requireWorkspaceAccess('manage'), async (req, res) => {
+  try {
+    const { workspace } = req;
+    if (req.body.name !== undefined) {
+      const name = parseName(req.body.name);
+      if (!name) {
+        return res.status(400).json({ message: 'Name must be a non-empty string of at most 255 characters' });
+      }
+      workspace.name = name;
+    }
+    if (req.body.description !== undefined) {
+      workspace.description = req.body.description || null;
+    }
+    await workspace.save();
+
+    res.json({ ...workspace.toJSON(), role: req.workspaceRole });
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an empty workspace (owner only)
+router.delete('/:workspaceId', requireWorkspaceAccess('manage'), async (req, res) => {
+  try {
+    const documentCount = await Document.count({ where: { workspaceId: req.workspace.id } });
+    if (documentCount > 0) {
+      return res.status(400).json({ message: 'Move or delete the documents in this workspace first' });
+    }
+
+    await req.workspace.destroy();
+    console.log(`✅ Workspace ${req.workspace.id} deleted by user ${req.userId}`);
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List workspace members (viewer or above)
+router.get('/:workspaceId/members', requireWorkspaceAccess('read'), async (req, res) => {
+  try {
+    res.json(await listMembers(WorkspaceMember, { workspaceId: req.workspace.id }));
+  } catch (error) {
+    console.error('Get workspace members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a workspace member by username or email (owner only).
+// Members get their role on every folder and document in the workspace.
+router.post('/:workspaceId/members', requireWorkspaceAccess('manage'), async (req, res) => {
+  try {
+    const { username, email, role = 'viewer' } = req.body;
+
+    if (!username && !email) {
+      return res.status(400).json({ message: 'Username or email is required' });
+    }
+    if (!isValidRole(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const user = await User.findOne({ where: username ? { username } : { email } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const existing = await WorkspaceMember.findOne({ where: { workspaceId: req.workspace.id, userId: user.id } });
+    if (existing) {
+      return res.status(400).json({ message: 'User is already a member' });
+    }
+
+    const rolesBefore = await documentRoles(await documentsInContainer(req.workspace.id, null), [user.id]);
+    await WorkspaceMember.create({ workspaceId: req.workspace.id, userId: user.id, role });
+    await notifyRoleChanges(rolesBefore);
+
+    console.log(`✅ User ${user.id} added to workspace ${req.workspace.id} as ${role} by user ${req.userId}`);
+    res.status(201).json(await listMembers(WorkspaceMember, { workspaceId: req.workspace.id }));
+  } catch (error) {
+    console.error('Add workspace member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a workspace member's role (owner only)
+router.patch('/:workspaceId/members/:userId', requireWorkspaceAccess('manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!isValidRole(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const member = await WorkspaceMember.findOne({
+      where: { workspaceId: req.workspace.id, userId: req.params.userId }
+    });
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner') {
+      const ownerCount = await WorkspaceMember.count({ where: { workspaceId: req.workspace.id, role: 'owner' } });
+      if (ownerCount <= 1) {
+        return res.status(400).json({ message: 'A workspace must keep at least one owner' });
+      }
+    }
+
+    const rolesBefore = await documentRoles(await documentsInContainer(req.workspace.id, null), [member.userId]);
+    member.role = role;
+    await member.save();
+    await notifyRoleChanges(rolesBefore);
+
+    res.json(await listMembers(WorkspaceMember, { workspaceId: req.workspace.id }));
+  } catch (error) {
+    console.error('Update workspace member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a workspace member (owner only, or a member removing themselves)
+router.delete('/:workspaceId/members/:userId', async (req, res) => {
+  try {
+    const workspace = await Workspace.findByPk(req.params.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const role = await getContainerRole(workspace.id, null, req.userId);
+    const isSelf = Number(req.params.userId) === req.userId;
+    if (!isSelf && !can(role, 'manage')) {
+      return res.status(403).json({ message: role ? `Your role (${role}) does not allow this action` : 'You do not have access to this workspace' });
+    }
+
+    const member = await WorkspaceMember.findOne({ where: { workspaceId: workspace.id, userId: req.params.userId } });
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      const ownerCount = await WorkspaceMember.count({ where: { workspaceId: workspace.id, role: 'owner' } });
+      if (ownerCount <= 1) {
+        return res.status(400).json({ message: 'A workspace must keep at least one owner' });
+      }
+    }
+
+    const rolesBefore = await documentRoles(await documentsInContainer(workspace.id, null), [member.userId]);
+    await member.destroy();
+    await notifyRoleChanges(rolesBefore);
+
+    console.log(`✅ User ${member.userId} removed from workspace ${workspace.id} by user ${req.userId}`);
+    res.json(await listMembers(WorkspaceMember, { workspaceId: workspace.id }));
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a folder at the top level or inside parentId (editor or above there)
+router.post('/:workspaceId/folders', async (req, res) => {
+  try {
+    const workspace = await Workspace.findByPk(req.params.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const name = parseName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ message: 'Name must be a non-empty string of at most 255 characters' });
+    }
+
+    const parsed = parseParentId(req.body.parentId);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const parentId = parsed.value;
+    if (parentId) {
+      const parent = await Folder.findOne({ where: { id: parentId, workspaceId: workspace.id } });
+      if (!parent) {
+        return res.status(400).json({ message: 'Parent folder not found in this workspace' });
+      }
+    }
+
+    const role = await getContainerRole(workspace.id, parentId, req.userId);
+    if (!can(role, 'edit')) {
+      return res.status(403).json({ message: role ? `Your role (${role}) does not allow this action` : 'You do not have access to this workspace' });
+    }
+
+    const folder = await Folder.create({ workspaceId: workspace.id, parentId, name, createdById: req.userId });
+
+    console.log(`✅ Folder ${folder.id} created in workspace ${workspace.id} by user ${req.userId}`);
+    res.status(201).json(folder);
+  } catch (error) {
+    console.error('Create folder error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a folder or move it under another parent (editor or above on the
+// folder and on the new parent)
+router.patch('/:workspaceId/folders/:folderId', requireFolderAccess('edit'), async (req, res) => {
+  try {
+    const { folder } = req;
+
+    if (req.body.name !== undefined) {
+      const name = parseName(req.body.name);
+      if (!name) {
+        return res.status(400).json({ message: 'Name must be a non-empty string of at most 255 characters' });
+      }
+      folder.name = name;
+    }
+
+    const parsed = parseParentId(req.body.parentId);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    let rolesBefore = null;
+    if (req.body.parentId !== undefined && parsed.value !== folder.parentId) {
+      const parentId = parsed.value;
+      if (parentId) {
+        const parent = await Folder.findOne({ where: { id: parentId, workspaceId: folder.workspaceId } });
+        if (!parent) {
+          return res.status(400).json({ message: 'Parent folder not found in this workspace' });
+        }
+        const chain = await getFolderChain(parentId);
+        if (chain.some(ancestor => ancestor.id === folder.id)) {
+          return res.status(400).json({ message: 'A folder cannot be moved into itself or its subfolders' });
+        }
+      }
+
+      const role = await getContainerRole(folder.workspaceId, parentId, req.userId);
+      if (!can(role, 'edit')) {
+        return res.status(403).json({ message: 'You cannot move folders into the destination' });
+      }
+
+      // Inherited roles inside the folder follow its new parent
+      const documentIds = await documentsInContainer(folder.workspaceId, folder.id);
+      const oldParentMembers = await FolderMember.findAll({
+        where: { folderId: (await getFolderChain(folder.parentId)).map(f => f.id) }
+      });
+      const newParentMembers = await FolderMember.findAll({
+        where: { folderId: (await getFolderChain(parentId)).map(f => f.id) }
+      });
+      const movedUsers = [...new Set([...oldParentMembers, ...newParentMembers].map(m => m.userId))];
+      rolesBefore = await documentRoles(documentIds, movedUsers);
+
+      folder.parentId = parentId;
+    }
+
+    await folder.save();
+
+    if (rolesBefore) {
+      await notifyRoleChanges(rolesBefore);
+    }
+
+    res.json(folder);
+  } catch (error) {
+    console.error('Update folder error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an empty folder (owner of the folder or workspace)
+router.delete('/:workspaceId/folders/:folderId', requireFolderAccess('manage'), async (req, res) => {
+  try {
+    const [subfolders, documents] = await Promise.all([
+      Folder.count({ where: { parentId: req.folder.id } }),
+      Document.count({ where: { folderId: req.folder.id } })
+    ]);
+    if (subfolders > 0 || documents > 0) {
+      return res.status(400).json({ message: 'Move or delete the folder contents first' });
+    }
+
+    await req.folder.destroy();
+    console.log(`✅ Folder ${req.folder.id} deleted by user ${req.userId}`);
+    res.json({ message: 'Folder deleted successfully' });
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List members given a role directly on a folder (viewer or above)
+router.get('/:workspaceId/folders/:folderId/members', requireFolderAccess('read'), async (req, res) => {
+  try {
+    res.json(await listMembers(FolderMember, { folderId: req.folder.id }));
+  } catch (error) {
+    console.error('Get folder members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Give a user a role on a folder, its subfolders and their documents, or
+// change it (owner of the folder or workspace)
+router.put('/:workspaceId/folders/:folderId/members', requireFolderAccess('manage'), async (req, res) => {
+  try {
+    const { username, email, role } = req.body;
+
+    if (!username && !email) {
+      return res.status(400).json({ message: 'Username or email is required' });
+    }
+    if (!isValidRole(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const user = await User.findOne({ where: username ? { username } : { email } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const rolesBefore = await documentRoles(await documentsInContainer(req.folder.workspaceId, req.folder.id), [user.id]);
+    const [member, created] = await FolderMember.findOrCreate({
+      where: { folderId: req.folder.id, userId: user.id },
+      defaults: { role }
+    });
+    if (!created) {
+      member.role = role;
+      await member.save();
+    }
+    await notifyRoleChanges(rolesBefore);
+
+    res.status(created ? 201 : 200).json(await listMembers(FolderMember, { folderId: req.folder.id }));
+  } catch (error) {
+    console.error('Set folder member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a user's role on a folder (owner of the folder or workspace)
+router.delete('/:workspaceId/folders/:folderId/members/:userId', requireFolderAccess('manage'), async (req, res) => {
+  try {
+    const member = await FolderMember.findOne({ where: { folderId: req.folder.id, userId: req.params.userId } });
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const rolesBefore = await documentRoles(await documentsInContainer(req.folder.workspaceId, req.folder.id), [member.userId]);
+    await member.destroy();
+    await notifyRoleChanges(rolesBefore);
+
+    res.json(await listMembers(FolderMember, { folderId: req.folder.id }));
+  } catch (error) {
+    console.error('Remove folder member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
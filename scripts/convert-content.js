@@ -0,0 +1,45 @@
+require('dotenv').config();
+const sequelize = require('../config/database');
+const { Document, DocumentCollaborator } = require('../models/Document');
+const convertDocumentToRichText = require('../utils/convertDocument');
+
+// Convert plain-text documents to rich text, all of them or those listed with
+// --ids=1,2,3. Open editors are not told, so run this with the server stopped
+// or use POST /api/documents/:id/convert for live documents.
+async function main() {
+  const idsArgument = process.argv.find(arg => arg.startsWith('--ids='));
+  const where = { format: 'text' };
+  if (idsArgument) {
+    where.id = idsArgument.slice('--ids='.length).split(',').map(Number).filter(Number.isInteger);
+  }
+
+  const documents = await Document.findAll({ where, attributes: ['id'], order: [['id', 'ASC']] });
+  let converted = 0;
+  for (const { id } of documents) {
+    // The conversion version is attributed to the document's first owner
+    const owner = await DocumentCollaborator.findOne({
+      where: { documentId: id, role: 'owner' },
+      order: [['id', 'ASC']]
+    });
+    if (!owner) {
+      console.error(`❌ Document ${id}: no owner, skipped`);
+      continue;
+    }
+
+    try {
+      const { version } = await convertDocumentToRichText(id, owner.userId);
+      converted += 1;
+      console.log(`Document ${id}: converted (version ${version})`);
+    } catch (error) {
+      console.error(`❌ Document ${id}: ${error.message}`);
+    }
+  }
+  console.log(`✅ Converted ${converted} of ${documents.length} documents to rich text`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Content conversion failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,24 @@
+require('dotenv').config();
+const sequelize = require('../config/database');
+const { pruneAllDocuments, getRetentionPolicy } = require('../utils/versionRetention');
+
+// Apply the version retention policy once and print what was squashed
+async function main() {
+  const policy = getRetentionPolicy();
+  console.log(`Keeping all versions for ${policy.keepAllHours}h, hourly for ${policy.hourlyDays} days, then daily`);
+
+  const report = await pruneAllDocuments(policy);
+  const total = report.reduce((sum, entry) => sum + entry.squashed, 0);
+
+  report.forEach(({ documentId, squashed }) => {
+    console.log(`Document ${documentId}: ${squashed} squashed`);
+  });
+  console.log(`✅ Squashed ${total} versions across ${report.length} documents`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Version pruning failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -8,8 +8,25 @@ const sequelize = require('./config/database');
 
 const authRoutes = require('./routes/auth');
 const documentRoutes = require('./routes/documents');
+const shareRoutes = require('./routes/share');
+const workspaceRoutes = require('./routes/workspaces');
+const templateRoutes = require('./routes/templates');
 const { Document } = require('./models/Document');
+const DocumentShareLink = require('./models/DocumentShareLink');
 const User = require('./models/User');
+const ot = require('./utils/ot');
+const { contentError, convertTextContent } = require('./utils/richText');
+const { documentStates, getDocumentState, assertTextOperations, applyClientOperations } = require('./utils/documentState');
+const saveDocumentToDB = require('./utils/saveDocument');
+const suggestions = require('./utils/suggestions');
+const roomOwner = require('./utils/roomOwner');
+const { resyncDocument } = require('./utils/offlineSync');
+const presence = require('./utils/presence');
+const { pruneAllDocuments } = require('./utils/versionRetention');
+const { can, getDocumentRole, getShareLinkRole } = require('./utils/permissions');
+const documentEvents = require('./utils/documentEvents');
+const lobby = require('./utils/lobby');
+const { createRoomStateAdapter } = require('./utils/roomState');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,17 +40,15 @@ const io = new Server(server, {
 });
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
 
-// PostgreSQL Database Connection (Supabase)
+// PostgreSQL Database Connection (Supabase). The schema is owned by the
+// migrations (`npm run migrate`); altering tables here would clash with the
+// search trigger, which depends on the documents columns.
 sequelize.authenticate()
   .then(() => {
     console.log('✅ Supabase connected successfully');
-    return sequelize.sync({ alter: true });
-  })
-  .then(() => {
-    console.log('✅ Database tables synchronized');
   })
   .catch(err => {
     console.error('❌ Database connection error:');
@@ -61,87 +76,780 @@ sequelize.authenticate()
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Server is running' });
 });
 
-// Socket.io for real-time collaboration
-const documentRooms = new Map();
-// Auto-save timers for debounced saving
-const autoSaveTimers = new Map();
-
-// Helper function to save document to database with versioning (public - everyone can save)
-async function saveDocumentToDB(documentId, content, userId, isExplicitSave = false) {
-  const { DocumentVersion } = require('./models/Document');
-  
-  // Use transaction for atomicity
-  const transaction = await sequelize.transaction();
-  
+// Socket.io for real-time collaboration (room membership lives in utils/presence)
+// Room state shared between server instances: membership, which instance owns
+// a room's live state and saves, and messages between instances
+const roomState = createRoomStateAdapter();
+
+// Unsaved edits per document, saved 2 seconds after the last change or when an
+// editor leaves: { timer, userId (last editor), editors: Set(userId) }
+const pendingEdits = new Map();
+// Joins and REST changes waiting for the reply of the instance that owns a room
+const ownerRequests = new Map();
+let ownerRequestCount = 0;
+// Pending save marker writes in progress, by room
+const pendingSaveWrites = new Map();
+const PENDING_SAVE_MARK_MS = Number(process.env.PENDING_SAVE_MARK_MS || 1000);
+const OWNER_REQUEST_TIMEOUT_MS = Number(process.env.ROOM_SNAPSHOT_TIMEOUT_MS || 5000);
+// Longest a SIGTERM/SIGINT shutdown may spend saving before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 10000);
+let shuttingDown = false;
+
+// Emit to a document room or a single socket on every instance
+function broadcast(to, event, data, exceptSocketId) {
+  return roomState.publish({ type: 'emit', to, event, data, except: exceptSocketId });
+}
+
+// Write a room's pending save marker. Writes for a room run one after the
+// other, so a slow mark cannot land after the clear that follows it.
+function writePendingSave(roomId, write) {
+  const previous = pendingSaveWrites.get(roomId) || Promise.resolve();
+  const next = previous.then(write);
+  const settled = next.catch(() => {});
+  pendingSaveWrites.set(roomId, settled);
+  settled.then(() => {
+    if (pendingSaveWrites.get(roomId) === settled) {
+      pendingSaveWrites.delete(roomId);
+    }
+  });
+  return next;
+}
+
+function clearPendingSave(roomId) {
+  return writePendingSave(roomId, () => roomState.clearPendingSave(roomId));
+}
+
+// Debounced save of a room's authoritative content (2 seconds after last change).
+// The unsaved content is also copied to the room's lease at most once per
+// PENDING_SAVE_MARK_MS, so an instance taking over after this one fails can
+// save it (see recoverPendingSave).
+function scheduleAutoSave(documentId, userId) {
+  const key = String(documentId);
+  let pending = pendingEdits.get(key);
+
+  if (pending) {
+    clearTimeout(pending.timer);
+  } else {
+    pending = { editors: new Set(), since: Date.now(), markedAt: 0 };
+    pendingEdits.set(key, pending);
+  }
+
+  const state = documentStates.get(key);
+  if (state && Date.now() - pending.markedAt >= PENDING_SAVE_MARK_MS) {
+    pending.markedAt = Date.now();
+    const info = { userId, since: pending.since, content: state.content };
+    writePendingSave(key, () => roomState.markPendingSave(key, info))
+      .catch(error => console.error('Pending save mark error:', error));
+  }
+
+  pending.userId = userId;
+  pending.editors.add(userId);
+  pending.timer = setTimeout(() => flushDocument(key, 'autosave'), 2000); // 2 seconds debounce
+}
+
+// Cancel a pending autosave, e.g. because the content was just saved
+function cancelAutoSave(roomId) {
+  const pending = pendingEdits.get(roomId);
+  if (pending) {
+    clearTimeout(pending.timer);
+    pendingEdits.delete(roomId);
+  }
+}
+
+// Save a room's unsaved edits now. Flushes other than the debounced autosave
+// (an editor leaving, shutdown) are reported to the room as document-flushed
+// or document-flush-failed. Resolves to whether the edits were saved.
+async function flushDocument(roomId, reason, userId) {
+  const pending = pendingEdits.get(roomId);
+  const state = documentStates.get(roomId);
+  if (!pending || !state) {
+    return true;
+  }
+
+  cancelAutoSave(roomId);
+  const savedBy = userId || pending.userId;
+  const report = reason !== 'autosave';
+
+  try {
+    const saved = await saveDocumentToDB(roomId, state.content, savedBy, false);
+    await clearPendingSave(roomId);
+    if (report) {
+      await broadcast(roomId, 'document-flushed', {
+        documentId: roomId,
+        reason,
+        userId: savedBy,
+        version: saved ? saved.version : undefined,
+        revision: state.revision,
+        timestamp: Date.now()
+      });
+    }
+    return true;
+  } catch (error) {
+    console.error(`Pending edits save error (${reason}):`, error);
+
+    // Keep the edits pending, so the next change, leave or shutdown saves them
+    // again, and put all of them on the lease in case this instance stops first
+    const info = { userId: savedBy, since: pending.since, content: state.content };
+    writePendingSave(roomId, () => roomState.markPendingSave(roomId, info))
+      .catch(markError => console.error('Pending save mark error:', markError));
+    const current = pendingEdits.get(roomId);
+    if (current) {
+      pending.editors.forEach(editor => current.editors.add(editor));
+    } else {
+      pendingEdits.set(roomId, { ...pending, timer: null });
+    }
+    if (report) {
+      await broadcast(roomId, 'document-flush-failed', {
+        documentId: roomId,
+        reason,
+        userId: savedBy,
+        error: error.message
+      }).catch(publishError => console.error('Flush report error:', publishError));
+    }
+    return false;
+  }
+}
+
+// Flush pending saves and drop the in-memory state once a room is empty on
+// this instance. Ownership is handed to an instance that still has members.
+async function releaseDocumentState(documentId, userId) {
+  const key = String(documentId);
+
+  await flushDocument(key, 'room-empty', userId);
+
+  if (!presence.hasRoom(key) && !pendingEdits.has(key)) {
+    documentStates.delete(key);
+    if (roomState.isOwner(key)) {
+      await roomState.releaseOwnership(key);
+      await roomState.publish({ type: 'ownership-released', roomId: key });
+    }
+  }
+}
+
+// Save the edits a failed owner left unsaved on a room's lease. Runs right
+// after this instance takes the room, before it loads the live state.
+async function recoverPendingSave(roomId) {
+  const info = await roomState.takePendingSave(roomId);
+  if (!info || typeof info.content !== 'string') {
+    return;
+  }
+
+  try {
+    await saveDocumentToDB(roomId, info.content, info.userId, false);
+    console.log(`✅ Recovered unsaved edits of document ${roomId} (pending since ${new Date(info.since).toISOString()})`);
+  } catch (error) {
+    console.error(`❌ Unsaved edits of document ${roomId} could not be recovered:`, error);
+  }
+}
+
+// Take a room's ownership; edits its previous owner left unsaved are saved first
+async function acquireRoom(roomId) {
+  if (!(await roomState.acquireOwnership(roomId))) {
+    return false;
+  }
+  await recoverPendingSave(roomId);
+  return true;
+}
+
+// Save the unsaved edits of rooms whose owner stopped renewing its lease and
+// that nobody has reopened since
+async function recoverAbandonedRooms() {
+  for (const { roomId } of await roomState.listPendingSaves()) {
+    if (roomState.isOwner(roomId) || !(await acquireRoom(roomId))) {
+      continue;
+    }
+    if (!presence.hasRoom(roomId) && !documentStates.has(roomId)) {
+      await roomState.releaseOwnership(roomId);
+    }
+  }
+}
+
+// Become the owner of a room whose owner went away. The state is reloaded
+// from the database, so everyone in the room resyncs to it.
+async function takeOverRoom(roomId) {
+  if (roomState.isOwner(roomId) || !(await acquireRoom(roomId))) {
+    return;
+  }
+
+  documentStates.delete(roomId);
+  const state = await getDocumentState(roomId);
+  await broadcast(roomId, 'resync-required', {
+    documentId: roomId,
+    ...snapshotOf(state)
+  });
+  console.log(`Instance ${roomState.instanceId} took over document ${roomId}`);
+}
+
+// What a joining client needs to start editing
+function snapshotOf(state) {
+  return { sessionId: state.sessionId, content: state.content, format: state.format, revision: state.revision };
+}
+
+// Run an owner action on the instance that owns a room and wait for its
+// reply (an owner-reply message)
+function requestFromOwner(roomId, action, payload = {}) {
+  const requestId = `${roomState.instanceId}:${++ownerRequestCount}`;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      ownerRequests.delete(requestId);
+      reject(new Error('Document owner did not respond'));
+    }, OWNER_REQUEST_TIMEOUT_MS);
+    ownerRequests.set(requestId, { resolve, reject, timer });
+
+    roomState.publish({ type: 'owner-action', roomId, action, payload: { ...payload, requestId } })
+      .catch(error => {
+        clearTimeout(timer);
+        ownerRequests.delete(requestId);
+        reject(error);
+      });
+  });
+}
+
+// Ask the owning instance for a room's content and revision
+function requestSnapshot(roomId) {
+  return requestFromOwner(roomId, 'snapshot');
+}
+
+// REST changes to a room's live state (utils/roomOwner.js) run on the owner.
+// Nobody owns a room that is not open, so this instance takes it for the
+// change and gives it back afterwards.
+async function runRequestOnOwner(roomId, name, args) {
+  if (roomState.isOwner(roomId)) {
+    return roomOwner.runRequest(name, args);
+  }
+  if (await acquireRoom(roomId)) {
+    try {
+      return await roomOwner.runRequest(name, args);
+    } finally {
+      if (!presence.hasRoom(roomId) && !documentStates.has(roomId)) {
+        await roomState.releaseOwnership(roomId);
+      }
+    }
+  }
+  return requestFromOwner(roomId, 'request', { name, args });
+}
+
+// Content and revision of a room: from the local state when this instance
+// owns the room (taking it if nobody does), from the owner otherwise
+async function getRoomSnapshot(roomId) {
+  if (roomState.isOwner(roomId) || await acquireRoom(roomId)) {
+    const state = await getDocumentState(roomId);
+    return snapshotOf(state);
+  }
+
   try {
-    // Fetch document
-    const document = await Document.findByPk(documentId, {
-      include: [{ model: User, as: 'collaborators' }],
-      transaction
+    return await requestSnapshot(roomId);
+  } catch (error) {
+    // The owner may have gone away without releasing the room
+    if (await acquireRoom(roomId)) {
+      documentStates.delete(roomId);
+      const state = await getDocumentState(roomId);
+      return snapshotOf(state);
+    }
+    throw error;
+  }
+}
+
+// Everyone present in a room on any instance; local entries are the freshest
+async function roomMembers(roomId) {
+  const members = new Map();
+  (await roomState.listMembers(roomId)).forEach(member => members.set(member.socketId, member));
+  presence.snapshot(roomId).forEach(member => members.set(member.socketId, member));
+  return Array.from(members.values());
+}
+
+// Work that needs a room's live state, run by the instance that owns the room.
+// `payload.socketId` is the connection to report results and errors to.
+const ownerActions = {
+  // Apply a client's operations and relay the result to every instance
+  async operation(roomId, { socketId, userId, actorId, baseRevision, operations, content, cursorPosition }) {
+    if (shuttingDown) {
+      throw new Error('Server is shutting down; reconnect to keep editing');
+    }
+
+    const state = await getDocumentState(roomId);
+    let result;
+    if (operations === undefined && typeof content === 'string') {
+      result = applyClientOperations(state, state.revision, ot.diffToOperations(state.content, content), actorId);
+    } else {
+      assertTextOperations(state);
+      result = applyClientOperations(state, baseRevision, ot.normalizeOperations(operations), actorId);
+    }
+
+    scheduleAutoSave(roomId, actorId);
+
+    await roomState.publish({
+      type: 'applied',
+      roomId,
+      socketId,
+      userId,
+      cursorPosition,
+      revision: result.revision,
+      operations: result.operations,
+      timestamp: Date.now()
+    });
+  },
+
+  // Suggesting mode: store operations as pending suggestions
+  async suggest(roomId, { socketId, actorId, baseRevision, operations }) {
+    const created = await suggestions.createSuggestions(
+      roomId, baseRevision, ot.normalizeOperations(operations), actorId
+    );
+    await broadcast(socketId, 'suggestion-ack', { documentId: roomId, suggestions: created });
+  },
+
+  async 'accept-suggestion'(roomId, { actorId, suggestionId }) {
+    await suggestions.acceptSuggestion(roomId, suggestionId, actorId);
+  },
+
+  async 'reject-suggestion'(roomId, { actorId, suggestionId }) {
+    await suggestions.rejectSuggestion(roomId, suggestionId, actorId);
+  },
+
+  // Explicit save of the room's authoritative content
+  async save(roomId, { actorId, content }) {
+    cancelAutoSave(roomId);
+
+    const state = documentStates.get(roomId);
+    await saveDocumentToDB(roomId, state ? state.content : content, actorId, true);
+    await clearPendingSave(roomId);
+
+    // Notify all users in the room
+    const document = await Document.findByPk(roomId);
+    await broadcast(roomId, 'document-saved', {
+      documentId: roomId,
+      timestamp: document.updatedAt,
+      version: document.currentVersion,
+      revision: state ? state.revision : undefined
     });
+  },
+
+  // An editor left: save their edits now instead of waiting for the autosave
+  async flush(roomId, { userId, reason }) {
+    const pending = pendingEdits.get(roomId);
+    if (pending && pending.editors.has(userId)) {
+      await flushDocument(roomId, reason, userId);
+    }
+  },
+
+  // A reconnecting client's offline queue: merge it or keep it as a conflict version
+  async resync(roomId, { socketId, actorId, username, request }) {
+    if (shuttingDown) {
+      throw new Error('Server is shutting down; reconnect to keep editing');
+    }
+
+    const result = await resyncDocument(roomId, request, { userId: actorId, username });
+
+    if (result.status === 'merged') {
+      scheduleAutoSave(roomId, actorId);
+      await roomState.publish({
+        type: 'applied',
+        roomId,
+        socketId,
+        ack: false,
+        userId: actorId,
+        revision: result.revision,
+        operations: result.operations,
+        timestamp: Date.now()
+      });
+    }
 
-    if (!document) {
-      await transaction.rollback();
-      throw new Error('Document not found');
+    await broadcast(socketId, 'resync-result', { documentId: roomId, ...result });
+  },
+
+  // Content for a socket joining on another instance
+  async snapshot(roomId, { requestId }) {
+    const state = await getDocumentState(roomId);
+    await roomState.publish({ type: 'owner-reply', requestId, result: snapshotOf(state) });
+  },
+
+  // A REST change from another instance; its result or error goes back to it
+  async request(roomId, { requestId, name, args }) {
+    let reply;
+    try {
+      reply = { result: await roomOwner.runRequest(name, args) };
+    } catch (error) {
+      reply = { error: { message: error.message, status: error.status } };
+    }
+    await roomState.publish({ type: 'owner-reply', requestId, ...reply });
+  }
+};
+
+const OWNER_ACTION_ERRORS = {
+  operation: 'Failed to apply document change',
+  suggest: 'Failed to store suggestion',
+  'accept-suggestion': 'Failed to accept suggestion',
+  'reject-suggestion': 'Failed to reject suggestion',
+  save: 'Failed to save document',
+  resync: 'Failed to resync offline changes',
+  flush: 'Failed to save pending edits'
+};
+
+async function runOwnerAction(action, roomId, payload) {
+  try {
+    await ownerActions[action](roomId, payload);
+  } catch (error) {
+    console.error(`Owner action ${action} error:`, error);
+    if (!payload.socketId) {
+      return;
+    }
+    // A rejected change leaves the client ahead of the room; send the
+    // reason, then the content to start over from
+    if (error.code === 'INVALID_CONTENT') {
+      await broadcast(payload.socketId, 'error', { message: OWNER_ACTION_ERRORS[action], error: error.message });
+    }
+    if ((error.code === 'RESYNC_REQUIRED' || error.code === 'INVALID_CONTENT') && documentStates.has(roomId)) {
+      const state = documentStates.get(roomId);
+      await broadcast(payload.socketId, 'resync-required', {
+        documentId: roomId,
+        ...snapshotOf(state)
+      });
+      return;
     }
+    await broadcast(payload.socketId, 'error', { message: OWNER_ACTION_ERRORS[action], error: error.message });
+  }
+}
+
+// Run an owner action here, or hand it to the instance that owns the room
+async function runOnOwner(roomId, action, payload) {
+  if (roomState.isOwner(roomId)) {
+    await runOwnerAction(action, roomId, payload);
+    return;
+  }
+  await roomState.publish({ type: 'owner-action', roomId, action, payload });
+}
+
+// Take a socket out of a document room and clean up room tracking.
+// `reason` (leave, disconnect, access-revoked) is reported with the flush of
+// the user's pending edits.
+async function removeSocketFromRoom(socket, roomId, reason = 'leave') {
+  socket.leave(roomId);
+  socket.data.documentRoles.delete(roomId);
+
+  const left = presence.leave(roomId, socket.id);
+  if (!left) {
+    return;
+  }
+  await roomState.removeMember(roomId, socket.id);
+
+  // Another tab of the same user (on any instance) keeps them in the room
+  const members = await roomMembers(roomId);
+  if (!members.some(member => member.userId === socket.userId)) {
+    await broadcast(roomId, 'user-left', {
+      userId: socket.userId,
+      documentId: roomId
+    });
+    await lobby.documentUpdated(roomId);
+  }
+
+  // Save this user's unsaved edits now rather than 2 seconds from now
+  await runOnOwner(roomId, 'flush', { userId: socket.data.actorId, reason });
+
+  if (left.roomEmpty) {
+    await releaseDocumentState(roomId, socket.data.actorId);
+  }
+}
+
+// Events raised by REST routes, handled by every instance for its own sockets
+const documentEventHandlers = {
+  // Push sharing changes to the document room.
+  // A user whose access was removed is kicked out of the room.
+  async 'collaborator-changed'({ documentId, userId, role, collaborators }) {
+    const roomId = String(documentId);
+    const sockets = await io.in(roomId).fetchSockets();
+    for (const socket of sockets) {
+      if (socket.userId !== userId) {
+        continue;
+      }
 
-    // Check if content actually changed
-    if (document.content === content) {
-      await transaction.rollback();
-      if (isExplicitSave) {
-        console.log(`Document ${documentId} content unchanged, skipping save`);
+      if (role) {
+        socket.data.documentRoles.set(roomId, role);
+        socket.emit('role-changed', { documentId: roomId, role });
+      } else {
+        await removeSocketFromRoom(socket, roomId, 'access-revoked');
+        socket.emit('access-revoked', { documentId: roomId });
       }
+    }
+
+    io.to(roomId).emit('collaborators-updated', { documentId: roomId, collaborators });
+  },
+
+  // A REST revert replaced the content: the owning instance applies it to the
+  // room state as an operation, so in-flight edits rebase onto it, and tells
+  // editors to reload
+  async 'document-reverted'({ documentId, content, version, versionId, revertedFromVersionId, userId }) {
+    const roomId = String(documentId);
+    if (!roomState.isOwner(roomId)) {
       return;
     }
 
-    // Get last version to avoid duplicates
-    const lastVersion = await DocumentVersion.findOne({
-      where: { documentId: document.id },
-      order: [['createdAt', 'DESC']],
-      transaction
+    // The revert is already saved; a pending autosave would only repeat it
+    cancelAutoSave(roomId);
+    await clearPendingSave(roomId);
+
+    const state = documentStates.get(roomId);
+    if (state && !state.loading) {
+      applyClientOperations(state, state.revision, ot.diffToOperations(state.content, content), userId);
+    }
+
+    await broadcast(roomId, 'document-reverted', {
+      documentId: roomId,
+      content,
+      revision: state ? state.revision : undefined,
+      version,
+      versionId,
+      revertedFromVersionId,
+      userId
     });
+  },
+
+  // A REST update was written against the saved content: the owning instance
+  // rebases it over edits not saved yet and applies it as an operation, so
+  // open editors keep both
+  async 'document-content-updated'({ documentId, previousContent, content, userId }) {
+    const roomId = String(documentId);
+    const state = documentStates.get(roomId);
+    if (!roomState.isOwner(roomId) || !state || state.loading) {
+      return;
+    }
+
+    const unsaved = ot.diffToOperations(previousContent || '', state.content);
+    let [operations] = ot.transform(ot.diffToOperations(previousContent || '', content), unsaved);
+    // A textual merge can break rich-text JSON; then the update replaces the
+    // unsaved edits instead
+    if (contentError(state.format, ot.applyOperations(state.content, operations))) {
+      operations = ot.diffToOperations(state.content, content);
+    }
+    if (operations.length === 0) {
+      return;
+    }
 
-    // Only create version if content changed from last version
-    // Save the OLD content as a version before updating
-    if (!lastVersion || lastVersion.content !== document.content) {
-      await DocumentVersion.create({
-        documentId: document.id,
-        content: document.content, // Save old content as version
-        updatedById: userId
-      }, { transaction });
-    }
-
-    // Update document with new content
-    document.content = content;
-    const versionCount = await DocumentVersion.count({ 
-      where: { documentId: document.id },
-      transaction 
+    const result = applyClientOperations(state, state.revision, operations, userId);
+    scheduleAutoSave(roomId, userId);
+    await roomState.publish({
+      type: 'applied',
+      roomId,
+      ack: false,
+      userId,
+      revision: result.revision,
+      operations: result.operations,
+      timestamp: Date.now()
     });
-    document.currentVersion = versionCount;
-    await document.save({ transaction });
+  },
 
-    // Commit transaction
-    await transaction.commit();
+  // A document was converted to rich text: the owning instance converts the
+  // live content too, keeping unsaved edits and moving anchors along, and
+  // sends everyone the new content. Operations based on the plain text can
+  // no longer be rebased, so clients start over from this state.
+  async 'document-format-changed'({ documentId, format, version, userId }) {
+    const roomId = String(documentId);
+    if (!roomState.isOwner(roomId)) {
+      return;
+    }
 
-    const saveType = isExplicitSave ? 'explicit save' : 'auto-save';
-    console.log(`✅ Document ${documentId} ${saveType} by user ${userId}, version ${versionCount}`);
-    
-    return { document, versionCount };
-  } catch (error) {
-    // Rollback transaction on error
-    await transaction.rollback();
-    console.error(`❌ Error saving document ${documentId}:`, error);
-    throw error;
+    const state = documentStates.get(roomId);
+    if (!state || state.loading || state.format === format) {
+      return;
+    }
+
+    const { content, mapOffset } = convertTextContent(state.content);
+    state.anchors.forEach((anchor) => {
+      anchor.start = mapOffset(anchor.start);
+      anchor.end = mapOffset(anchor.end);
+      anchor.dirty = true;
+    });
+    state.content = content;
+    state.format = format;
+    state.revision += 1;
+    state.history = [];
+    if (pendingEdits.has(roomId)) {
+      scheduleAutoSave(roomId, userId);
+    }
+
+    await broadcast(roomId, 'document-format-changed', {
+      documentId: roomId,
+      version,
+      userId,
+      ...snapshotOf(state)
+    });
+  },
+
+  // A document was deleted: eject everyone in its room without saving
+  async 'document-deleted'({ documentId, deletedBy }) {
+    const roomId = String(documentId);
+    cancelAutoSave(roomId);
+    await clearPendingSave(roomId);
+
+    const sockets = await io.in(roomId).fetchSockets();
+    for (const socket of sockets) {
+      socket.leave(roomId);
+      socket.data.documentRoles.delete(roomId);
+      presence.leave(roomId, socket.id);
+      await roomState.removeMember(roomId, socket.id);
+      socket.emit('document-deleted', { documentId: roomId, deletedBy });
+    }
+
+    documentStates.delete(roomId);
+    if (roomState.isOwner(roomId)) {
+      await roomState.releaseOwnership(roomId);
+    }
+  },
+
+  // Document list changes for the users who can access the document
+  async 'lobby-event'({ documentId, event, userIds, data }) {
+    const payload = { ...data };
+    if (event !== 'document-deleted') {
+      const members = await roomMembers(String(documentId));
+      payload.activeUsers = new Set(members.map(member => member.userId)).size;
+    }
+    userIds.forEach((userId) => {
+      lobbyNamespace.to(`user:${userId}`).emit(event, payload);
+    });
+  },
+
+  // Relay events raised by REST routes to a document room or to one user
+  async 'room-event'({ documentId, event, data }) {
+    io.to(String(documentId)).emit(event, { documentId: String(documentId), ...data });
+  },
+
+  async 'user-event'({ userId, event, data }) {
+    io.to(`user:${userId}`).emit(event, data);
+  },
+
+  // Remove guests of a revoked share link from its document room
+  async 'share-link-revoked'({ documentId, shareLinkId }) {
+    const roomId = String(documentId);
+    const sockets = await io.in(roomId).fetchSockets();
+    for (const socket of sockets) {
+      if (socket.data.shareLinkId === shareLinkId) {
+        await removeSocketFromRoom(socket, roomId, 'access-revoked');
+        socket.emit('access-revoked', { documentId: roomId });
+      }
+    }
+  }
+};
+
+// Send every document event through the room state adapter, so all instances see it
+Object.keys(documentEventHandlers).forEach(name => {
+  documentEvents.on(name, payload => {
+    roomState.publish({ type: 'document-event', name, payload })
+      .catch(error => console.error(`Document event ${name} publish error:`, error));
+  });
+});
+
+// Operations applied by a room's owner: acknowledge them to the sending
+// socket and pass them on to everyone else connected to this instance.
+// Merged offline queues are not acknowledged; the client gets document-state.
+function relayAppliedOperations({ roomId, socketId, ack = true, userId, cursorPosition, revision, operations, timestamp }) {
+  // Keep everyone's selections in place and mark the sender active
+  presence.moveSelections(roomId, operations, socketId);
+  presence.update(roomId, socketId, Number.isInteger(cursorPosition)
+    ? { selection: { start: cursorPosition, end: cursorPosition } }
+    : {});
+
+  if (ack) {
+    io.to(socketId).emit('operation-ack', {
+      documentId: roomId,
+      revision,
+      operations
+    });
   }
+
+  const others = socketId ? io.to(roomId).except(socketId) : io.to(roomId);
+  others.emit('document-update', {
+    documentId: roomId,
+    revision,
+    operations,
+    userId,
+    cursorPosition,
+    timestamp
+  });
 }
 
-io.use((socket, next) => {
+roomState.onMessage(async (message) => {
+  try {
+    switch (message.type) {
+      case 'emit': {
+        const target = message.except ? io.to(message.to).except(message.except) : io.to(message.to);
+        target.emit(message.event, message.data);
+        break;
+      }
+      case 'document-event':
+        await documentEventHandlers[message.name](message.payload);
+        break;
+      case 'owner-action':
+        if (roomState.isOwner(message.roomId)) {
+          await runOwnerAction(message.action, message.roomId, message.payload);
+        }
+        break;
+      case 'applied':
+        relayAppliedOperations(message);
+        break;
+      case 'owner-reply': {
+        const request = ownerRequests.get(message.requestId);
+        if (request) {
+          clearTimeout(request.timer);
+          ownerRequests.delete(message.requestId);
+          if (message.error) {
+            request.reject(Object.assign(new Error(message.error.message), { status: message.error.status }));
+          } else {
+            request.resolve(message.result);
+          }
+        }
+        break;
+      }
+      case 'ownership-released':
+        if (presence.hasRoom(message.roomId)) {
+          await takeOverRoom(message.roomId);
+        }
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    console.error(`Room state message ${message.type} error:`, error);
+  }
+});
+
+// Another instance took a room over after this one failed to renew its
+// lease; its state was reloaded from the database, so drop ours
+roomState.onOwnershipLost((roomId) => {
+  cancelAutoSave(roomId);
+  documentStates.delete(roomId);
+  console.error(`❌ Lost ownership of document ${roomId}`);
+});
+
+roomOwner.setDispatcher(runRequestOnOwner);
+
+// Room ownership and cross-instance messages do not depend on the database
+// connection check at startup
+roomState.start()
+  .then(() => recoverAbandonedRooms())
+  .catch(error => console.error('❌ Room state adapter failed to start:', error));
+
+// Take over rooms with members here whose owner stopped renewing its lease,
+// and save what owners of rooms nobody has open left unsaved
+const ownerCheckTimer = setInterval(() => {
+  presence.roomIds()
+    .filter(roomId => !roomState.isOwner(roomId))
+    .forEach(roomId => {
+      takeOverRoom(roomId).catch(error => console.error('Room takeover error:', error));
+    });
+  recoverAbandonedRooms().catch(error => console.error('Pending save recovery error:', error));
+}, Number(process.env.ROOM_OWNER_CHECK_MS || 5000));
+ownerCheckTimer.unref();
+
+// Verify the handshake token for the editing and lobby namespaces
+async function authenticateSocket(socket, next) {
   const token = socket.handshake.auth.token;
   if (!token) {
     return next(new Error('Authentication error'));
@@ -149,20 +857,87 @@ io.use((socket, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.userId = decoded.userId;
+    if (decoded.guest) {
+      // Share link guest: edits are attributed to the link's creator
+      const link = await DocumentShareLink.findByPk(decoded.shareLinkId);
+      if (!link || !link.isActive()) {
+        return next(new Error('Authentication error'));
+      }
+      socket.userId = `guest-${socket.id}`;
+      socket.data.shareLinkId = link.id;
+      socket.data.actorId = link.createdById;
+      socket.data.username = 'Guest';
+    } else {
+      const user = await User.findByPk(decoded.userId, { attributes: ['id', 'username'] });
+      if (!user) {
+        return next(new Error('Authentication error'));
+      }
+      socket.userId = decoded.userId;
+      socket.data.actorId = decoded.userId;
+      socket.data.username = user.username;
+    }
     next();
   } catch (error) {
     next(new Error('Authentication error'));
   }
+}
+
+io.use(authenticateSocket);
+
+// Lobby: live updates of the user's document list (user accounts only)
+const lobbyNamespace = io.of('/lobby');
+
+lobbyNamespace.use((socket, next) => {
+  authenticateSocket(socket, (error) => {
+    if (error) {
+      return next(error);
+    }
+    if (socket.data.shareLinkId) {
+      return next(new Error('A user account is required'));
+    }
+    next();
+  });
+});
+
+lobbyNamespace.on('connection', (socket) => {
+  socket.join(`user:${socket.userId}`);
 });
 
 io.on('connection', (socket) => {
   console.log('User connected:', socket.userId);
 
-  // Join document room (public - everyone can join)
-  socket.on('join-document', async (documentId) => {
+  // Role of this user in each document room it has joined
+  socket.data.documentRoles = new Map();
+
+  // Personal room for notifications such as @mentions
+  if (!socket.data.shareLinkId) {
+    socket.join(`user:${socket.userId}`);
+  }
+
+  // Check the role recorded on join allows `action` in the room
+  const ensureRoomAccess = (roomId, action) => {
+    const role = socket.data.documentRoles.get(roomId);
+    if (!socket.rooms.has(roomId) || !role) {
+      socket.emit('error', { message: 'Join the document before editing' });
+      return false;
+    }
+    if (!can(role, action)) {
+      socket.emit('error', { message: `Your role (${role}) does not allow this action`, documentId: roomId });
+      return false;
+    }
+    return true;
+  };
+
+  // Join document room (viewer or above). Reconnecting clients send
+  // { documentId, sessionId, lastRevision, operations, baseContent, content }
+  // to get the changes they missed and merge the edits they queued offline.
+  socket.on('join-document', async (payload) => {
+    const { documentId, ...resync } = payload !== null && typeof payload === 'object'
+      ? payload
+      : { documentId: payload };
+    const roomId = String(documentId);
     try {
-      const document = await Document.findByPk(documentId, {
+      const document = await Document.findByPk(roomId, {
         include: [
           { model: User, as: 'collaborators' }
         ]
@@ -173,93 +948,208 @@ io.on('connection', (socket) => {
         return;
       }
 
-      socket.join(documentId);
+      const role = socket.data.shareLinkId
+        ? await getShareLinkRole(socket.data.shareLinkId, document.id)
+        : await getDocumentRole(document.id, socket.userId);
+      if (!can(role, 'read')) {
+        socket.emit('error', { message: 'You do not have access to this document', documentId: roomId });
+        return;
+      }
+
+      // Join before fetching the state: updates that arrive first carry a
+      // revision no newer than the state and are ignored by the client
+      socket.join(roomId);
+      let state = await getRoomSnapshot(roomId);
+      socket.data.documentRoles.set(roomId, role);
 
-      // Track users in room
-      if (!documentRooms.has(documentId)) {
-        documentRooms.set(documentId, new Set());
+      if (Array.isArray(resync.operations) || resync.lastRevision !== undefined) {
+        const queued = Array.isArray(resync.operations) && resync.operations.length > 0;
+        if (queued && !can(role, 'edit')) {
+          socket.emit('resync-result', {
+            documentId: roomId,
+            status: 'rejected',
+            message: `Your role (${role}) does not allow editing; offline changes were not applied`
+          });
+        } else {
+          await runOnOwner(roomId, 'resync', {
+            socketId: socket.id,
+            actorId: socket.data.actorId,
+            username: socket.data.username,
+            request: resync
+          });
+          // Includes the merged offline changes
+          state = await getRoomSnapshot(roomId);
+        }
       }
-      documentRooms.get(documentId).add(socket.userId);
 
-      // Notify others in the room
-      socket.to(documentId).emit('user-joined', {
+      // Track this connection in the room
+      const wasPresent = (await roomMembers(roomId)).some(member => member.userId === socket.userId);
+      const ownPresence = presence.join(roomId, {
+        socketId: socket.id,
         userId: socket.userId,
-        documentId
+        username: socket.data.username
+      });
+      await roomState.addMember(roomId, ownPresence);
+
+      // Send the authoritative content and revision to base edits on
+      socket.emit('document-state', {
+        documentId: roomId,
+        sessionId: state.sessionId,
+        content: state.content,
+        format: state.format,
+        revision: state.revision,
+        role
+      });
+
+      // Notify others in the room (once per user, not per tab)
+      if (!wasPresent) {
+        await broadcast(roomId, 'user-joined', {
+          userId: socket.userId,
+          username: socket.data.username,
+          color: ownPresence.color,
+          documentId: roomId
+        }, socket.id);
+        await lobby.documentUpdated(roomId);
+      }
+
+      // Send everyone present; later changes arrive as presence-diff
+      const members = await roomMembers(roomId);
+      socket.emit('presence-snapshot', {
+        documentId: roomId,
+        socketId: socket.id,
+        presence: members
       });
 
       // Send current active users
-      const activeUsers = Array.from(documentRooms.get(documentId));
-      socket.emit('active-users', activeUsers);
+      socket.emit('active-users', Array.from(new Set(members.map(member => member.userId))));
 
-      console.log(`User ${socket.userId} joined document ${documentId}`);
+      console.log(`User ${socket.userId} joined document ${roomId}`);
     } catch (error) {
       console.error('Join document error:', error);
+      if (!presence.roomsOf(socket.id).includes(roomId)) {
+        socket.leave(roomId);
+      }
       socket.emit('error', { message: 'Failed to join document' });
     }
   });
 
-  // Handle document changes
-  socket.on('document-change', async ({ documentId, content, cursorPosition }) => {
+  // Handle document changes as operations against a base revision.
+  // Clients that still send full `content` are diffed against the current state.
+  // The owning instance applies them and acknowledges through 'applied'.
+  socket.on('document-change', async ({ documentId, baseRevision, operations, content, cursorPosition }) => {
+    const roomId = String(documentId);
     try {
-      // Broadcast to all other users in the room
-      socket.to(documentId).emit('document-update', {
-        content,
+      if (!ensureRoomAccess(roomId, 'edit')) {
+        return;
+      }
+
+      await runOnOwner(roomId, 'operation', {
+        socketId: socket.id,
         userId: socket.userId,
-        cursorPosition,
-        timestamp: Date.now()
+        actorId: socket.data.actorId,
+        baseRevision,
+        operations,
+        content,
+        cursorPosition
       });
+    } catch (error) {
+      console.error('Document change error:', error);
+      socket.emit('error', { message: 'Failed to apply document change', error: error.message });
+    }
+  });
 
-      // Auto-save to database with debouncing (2 seconds after last change)
-      const timerKey = `${documentId}_${socket.userId}`;
-      
-      // Clear existing timer
-      if (autoSaveTimers.has(timerKey)) {
-        clearTimeout(autoSaveTimers.get(timerKey));
+  // Suggesting mode: store operations as pending suggestions (commenter or above)
+  socket.on('suggest-change', async ({ documentId, baseRevision, operations }) => {
+    const roomId = String(documentId);
+    try {
+      if (!ensureRoomAccess(roomId, 'comment')) {
+        return;
       }
 
-      // Set new timer for auto-save
-      const timer = setTimeout(async () => {
-        try {
-          await saveDocumentToDB(documentId, content, socket.userId, false);
-          autoSaveTimers.delete(timerKey);
-        } catch (error) {
-          console.error('Auto-save error:', error);
-          autoSaveTimers.delete(timerKey);
-        }
-      }, 2000); // 2 seconds debounce
+      await runOnOwner(roomId, 'suggest', {
+        socketId: socket.id,
+        actorId: socket.data.actorId,
+        baseRevision,
+        operations
+      });
+    } catch (error) {
+      console.error('Suggest change error:', error);
+      socket.emit('error', { message: 'Failed to store suggestion', error: error.message });
+    }
+  });
+
+  // Accept or reject a suggestion (editor or owner)
+  socket.on('accept-suggestion', async ({ documentId, suggestionId }) => {
+    const roomId = String(documentId);
+    try {
+      if (!ensureRoomAccess(roomId, 'edit')) {
+        return;
+      }
+      await runOnOwner(roomId, 'accept-suggestion', {
+        socketId: socket.id,
+        actorId: socket.data.actorId,
+        suggestionId
+      });
+    } catch (error) {
+      console.error('Accept suggestion error:', error);
+      socket.emit('error', { message: 'Failed to accept suggestion', error: error.message });
+    }
+  });
 
-      autoSaveTimers.set(timerKey, timer);
+  socket.on('reject-suggestion', async ({ documentId, suggestionId }) => {
+    const roomId = String(documentId);
+    try {
+      if (!ensureRoomAccess(roomId, 'edit')) {
+        return;
+      }
+      await runOnOwner(roomId, 'reject-suggestion', {
+        socketId: socket.id,
+        actorId: socket.data.actorId,
+        suggestionId
+      });
     } catch (error) {
-      console.error('Document change error:', error);
+      console.error('Reject suggestion error:', error);
+      socket.emit('error', { message: 'Failed to reject suggestion', error: error.message });
     }
   });
 
   // Handle cursor position updates
-  socket.on('cursor-position', ({ documentId, position }) => {
-    socket.to(documentId).emit('cursor-update', {
-      userId: socket.userId,
-      position
-    });
+  socket.on('cursor-position', async ({ documentId, position }) => {
+    const roomId = String(documentId);
+    const own = presence.update(roomId, socket.id, { selection: { start: position, end: position } });
+    if (!own) {
+      return;
+    }
+
+    try {
+      await broadcast(roomId, 'cursor-update', {
+        userId: socket.userId,
+        username: own.username,
+        color: own.color,
+        position
+      }, socket.id);
+    } catch (error) {
+      console.error('Cursor broadcast error:', error);
+    }
+  });
+
+  // Selection and idle/active updates, sent to the room as throttled presence-diff events
+  socket.on('presence-update', ({ documentId, selection, status }) => {
+    presence.update(String(documentId), socket.id, { selection, status });
   });
 
-  // Handle explicit save
+  // Handle explicit save of the room's authoritative content
   socket.on('save-document', async ({ documentId, content }) => {
     try {
-      // Clear any pending auto-save timer
-      const timerKey = `${documentId}_${socket.userId}`;
-      if (autoSaveTimers.has(timerKey)) {
-        clearTimeout(autoSaveTimers.get(timerKey));
-        autoSaveTimers.delete(timerKey);
+      const roomId = String(documentId);
+      if (!ensureRoomAccess(roomId, 'edit')) {
+        return;
       }
 
-      await saveDocumentToDB(documentId, content, socket.userId, true);
-      
-      // Notify all users in the room
-      const document = await Document.findByPk(documentId);
-      io.to(documentId).emit('document-saved', {
-        documentId,
-        timestamp: document.updatedAt,
-        version: document.currentVersion
+      await runOnOwner(roomId, 'save', {
+        socketId: socket.id,
+        actorId: socket.data.actorId,
+        content
       });
     } catch (error) {
       console.error('Save document error:', error);
@@ -268,72 +1158,106 @@ io.on('connection', (socket) => {
   });
 
   // Leave document room
-  socket.on('leave-document', (documentId) => {
-    socket.leave(documentId);
-
-    if (documentRooms.has(documentId)) {
-      documentRooms.get(documentId).delete(socket.userId);
-
-      if (documentRooms.get(documentId).size === 0) {
-        documentRooms.delete(documentId);
-      }
+  socket.on('leave-document', async (documentId) => {
+    const roomId = String(documentId);
+    try {
+      await removeSocketFromRoom(socket, roomId);
+    } catch (error) {
+      console.error('Leave document error:', error);
     }
 
-    socket.to(documentId).emit('user-left', {
-      userId: socket.userId,
-      documentId
-    });
-
-    console.log(`User ${socket.userId} left document ${documentId}`);
+    console.log(`User ${socket.userId} left document ${roomId}`);
   });
 
   // Handle disconnect
   socket.on('disconnect', async () => {
     console.log('User disconnected:', socket.userId);
 
-    // Save any pending changes before disconnect
-    for (const [timerKey, timer] of autoSaveTimers.entries()) {
-      if (timerKey.endsWith(`_${socket.userId}`)) {
-        clearTimeout(timer);
-        autoSaveTimers.delete(timerKey);
-        
-        // Extract documentId from timerKey (format: documentId_userId)
-        const documentId = timerKey.split('_')[0];
-        try {
-          // Get latest content from the room state or fetch from DB
-          const document = await Document.findByPk(documentId);
-          if (document) {
-            // Try to save if there are unsaved changes
-            // Note: This is a best-effort save, actual content should be saved via document-change
-            console.log(`Attempting final save for document ${documentId} on disconnect`);
-          }
-        } catch (error) {
-          console.error('Error saving on disconnect:', error);
-        }
-      }
+    // Shutdown has already saved every room and is closing connections
+    if (shuttingDown) {
+      return;
     }
 
-    // Remove user from all document rooms
-    documentRooms.forEach((users, documentId) => {
-      if (users.has(socket.userId)) {
-        users.delete(socket.userId);
-        socket.to(documentId).emit('user-left', {
-          userId: socket.userId,
-          documentId
-        });
-
-        if (users.size === 0) {
-          documentRooms.delete(documentId);
-        }
+    // Remove this connection from all document rooms, saving its pending edits
+    for (const roomId of presence.roomsOf(socket.id)) {
+      try {
+        await removeSocketFromRoom(socket, roomId, 'disconnect');
+      } catch (error) {
+        console.error('Disconnect cleanup error:', error);
       }
-    });
+    }
   });
 });
 
+// Background version retention job (VERSION_PRUNE_INTERVAL_MINUTES=0 disables it)
+const pruneIntervalMinutes = Number(process.env.VERSION_PRUNE_INTERVAL_MINUTES || 60);
+if (pruneIntervalMinutes > 0) {
+  const pruneTimer = setInterval(async () => {
+    try {
+      const report = await pruneAllDocuments();
+      report.forEach(({ documentId, squashed }) => {
+        console.log(`🧹 Document ${documentId}: squashed ${squashed} versions`);
+      });
+    } catch (error) {
+      console.error('❌ Version pruning error:', error);
+    }
+  }, pruneIntervalMinutes * 60 * 1000);
+  pruneTimer.unref();
+}
+
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Save every document with unsaved edits, report it to the rooms, then close
+// connections, hand the rooms to other instances and exit
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.log(`${signal} received, saving pending edits before shutdown...`);
+
+  const forceExit = setTimeout(() => {
+    console.error('❌ Shutdown timed out, exiting with unsaved edits');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  const results = await Promise.all(
+    Array.from(pendingEdits.keys()).map(roomId => flushDocument(roomId, 'shutdown'))
+  );
+  const failed = results.filter(saved => !saved).length;
+
+  try {
+    // Rooms whose edits could not be saved keep their lease and pending save
+    // marker, so another instance saves them once the lease expires
+    for (const roomId of documentStates.keys()) {
+      if (roomState.isOwner(roomId) && !pendingEdits.has(roomId)) {
+        await roomState.releaseOwnership(roomId);
+        await roomState.publish({ type: 'ownership-released', roomId });
+      }
+    }
+    await roomState.stop();
+  } catch (error) {
+    console.error('❌ Room state shutdown error:', error);
+  }
+
+  // Closes every socket and the HTTP server
+  await new Promise(resolve => io.close(() => resolve()));
+  await sequelize.close();
+
+  if (failed > 0) {
+    console.error(`❌ Shutdown finished, ${failed} document(s) could not be saved`);
+    process.exit(1);
+  }
+  console.log('✅ Pending edits saved, server stopped');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = { app, server, io };
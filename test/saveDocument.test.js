@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The models only need connection settings to load; no query reaches a database
+process.env.DB_USER = process.env.DB_USER || 'test';
+process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'test';
+process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+process.env.DB_PORT = process.env.DB_PORT || '5432';
+process.env.DB_NAME = process.env.DB_NAME || 'test';
+
+const sequelize = require('../config/database');
+const { Document } = require('../models/Document');
+const versionStore = require('../utils/versionStore');
+const lobby = require('../utils/lobby');
+const saveDocumentToDB = require('../utils/saveDocument');
+const { documentETag } = require('../utils/etag');
+
+// A document row as saveDocumentToDB sees it, with the versions stored for it
+function stubDocument({ content, currentVersion, versions }) {
+  const document = {
+    id: 1,
+    format: 'text',
+    content,
+    currentVersion,
+    async save() {}
+  };
+
+  sequelize.transaction = async () => ({
+    LOCK: { UPDATE: 'UPDATE' },
+    finished: undefined,
+    async commit() { this.finished = 'commit'; },
+    async rollback() { this.finished = 'rollback'; }
+  });
+  Document.findByPk = async () => document;
+  versionStore.getLatestVersion = async () => versions[versions.length - 1] || null;
+  versionStore.createVersion = async (values) => {
+    versions.push(values);
+    return values;
+  };
+  lobby.documentUpdated = async () => {};
+
+  return document;
+}
+
+test('a save right after a revert moves currentVersion on', async () => {
+  // After a revert the latest version holds the restored content, so the
+  // next save adds no version row
+  const versions = [{ content: 'first' }, { content: 'second' }, { content: 'first', kind: 'revert' }];
+  const document = stubDocument({ content: 'first', currentVersion: 3, versions });
+  const loaded = { version: document.currentVersion, etag: documentETag(document) };
+
+  const saved = await saveDocumentToDB(1, 'edited after revert', 7, true);
+
+  assert.strictEqual(versions.length, 3);
+  assert.strictEqual(document.content, 'edited after revert');
+  assert.strictEqual(document.currentVersion, 4);
+  assert.strictEqual(saved.version, 4);
+  // A client that loaded the reverted content is now stale
+  assert.notStrictEqual(document.currentVersion, loaded.version);
+  assert.notStrictEqual(documentETag(document), loaded.etag);
+});
+
+test('a save that keeps the old content as a version moves currentVersion on once', async () => {
+  const versions = [{ content: 'first' }];
+  const document = stubDocument({ content: 'second', currentVersion: 1, versions });
+
+  await saveDocumentToDB(1, 'third', 7, false);
+
+  assert.strictEqual(versions.length, 2);
+  assert.strictEqual(versions[1].content, 'second');
+  assert.strictEqual(document.currentVersion, 2);
+});
+
+test('an unchanged save leaves currentVersion alone', async () => {
+  const document = stubDocument({ content: 'same', currentVersion: 5, versions: [] });
+
+  assert.strictEqual(await saveDocumentToDB(1, 'same', 7, true), undefined);
+  assert.strictEqual(document.currentVersion, 5);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Op } = require('sequelize');
+
+// The models only need connection settings to load; no query reaches a database
+process.env.DB_USER = process.env.DB_USER || 'test';
+process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'test';
+process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+process.env.DB_PORT = process.env.DB_PORT || '5432';
+process.env.DB_NAME = process.env.DB_NAME || 'test';
+
+const { createVersionStore } = require('../utils/versionStore');
+const { KEYFRAME_INTERVAL, encodeVersion } = require('../utils/versionPatch');
+
+// A model holding `count` encoded versions of one template, that records the
+// rows each query returns
+function stubModel(count) {
+  const rows = [];
+  let previous = null;
+  let patchesSinceSnapshot = -1;
+  for (let id = 1; id <= count; id++) {
+    const content = `Version ${id} of the template`;
+    const encoded = encodeVersion(previous, content, patchesSinceSnapshot);
+    patchesSinceSnapshot = encoded.isSnapshot ? 0 : patchesSinceSnapshot + 1;
+    previous = content;
+    rows.push({ id, templateId: 1, ...encoded });
+  }
+
+  const matches = (row, where) => Object.entries(where).every(([key, condition]) => {
+    if (key !== 'id' || typeof condition !== 'object') {
+      return row[key] === condition;
+    }
+    if (condition[Op.lte] !== undefined) {
+      return row.id <= condition[Op.lte];
+    }
+    const [from, to] = condition[Op.between];
+    return row.id >= from && row.id <= to;
+  });
+
+  const read = [];
+  return {
+    read,
+    async findAll({ where }) {
+      const found = rows.filter(row => matches(row, where));
+      read.push(...found.map(row => row.id));
+      return found;
+    }
+  };
+}
+
+test('loadVersionContents rebuilds only the chains of the requested versions', async () => {
+  const Model = stubModel(KEYFRAME_INTERVAL * 2 + 10);
+  const store = createVersionStore(Model, 'templateId');
+  const first = 3;
+  const second = KEYFRAME_INTERVAL * 2 + 5;
+
+  const contents = await store.loadVersionContents(1, [second, first]);
+
+  assert.deepStrictEqual(Array.from(contents).sort((a, b) => a[0] - b[0]), [
+    [first, `Version ${first} of the template`],
+    [second, `Version ${second} of the template`]
+  ]);
+  // Rows between the two chains are not read, apart from the snapshot ids
+  const patchesRead = Model.read.filter(id => id > first && id < KEYFRAME_INTERVAL * 2 && id % KEYFRAME_INTERVAL !== 1);
+  assert.deepStrictEqual(patchesRead, []);
+});
+
+test('loadVersionContents returns nothing for no versions', async () => {
+  const store = createVersionStore(stubModel(3), 'templateId');
+
+  assert.strictEqual((await store.loadVersionContents(1, [])).size, 0);
+});
@@ -0,0 +1,90 @@
+const { Document, DocumentCollaborator } = require('../models/Document');
+const { Workspace, WorkspaceMember, FolderMember } = require('../models/Workspace');
+const User = require('../models/User');
+const { highestRole, getFolderChain } = require('./permissions');
+
+// Members of a workspace folder (or of the workspace top level when folderId
+// is null) with the role they inherit there:
+// Map(userId -> { role, inheritedFrom: { type: 'workspace' | 'folder', id, name } })
+async function getContainerMembers(workspaceId, folderId) {
+  const members = new Map();
+  const add = (userId, role, inheritedFrom) => {
+    const current = members.get(userId);
+    if (!current || highestRole(current.role, role) !== current.role) {
+      members.set(userId, { role, inheritedFrom });
+    }
+  };
+
+  const workspace = await Workspace.findByPk(workspaceId, { attributes: ['id', 'name'] });
+  if (!workspace) {
+    return members;
+  }
+  const workspaceMembers = await WorkspaceMember.findAll({ where: { workspaceId } });
+  workspaceMembers.forEach((member) => {
+    add(member.userId, member.role, { type: 'workspace', id: workspace.id, name: workspace.name });
+  });
+
+  const chain = await getFolderChain(folderId);
+  if (chain.length > 0) {
+    const folderMembers = await FolderMember.findAll({ where: { folderId: chain.map(folder => folder.id) } });
+    folderMembers.forEach((member) => {
+      const folder = chain.find(f => f.id === member.folderId);
+      add(member.userId, member.role, { type: 'folder', id: folder.id, name: folder.name });
+    });
+  }
+
+  return members;
+}
+
+// Everyone with access to a document and their effective role:
+// [{ userId, role, inheritedFrom }], where inheritedFrom is null when the
+// role comes from the document's own collaborator list
+async function getDocumentMembers(documentId) {
+  const document = await Document.findByPk(documentId, { attributes: ['id', 'workspaceId', 'folderId'] });
+  if (!document) {
+    return [];
+  }
+
+  const members = document.workspaceId
+    ? await getContainerMembers(document.workspaceId, document.folderId)
+    : new Map();
+
+  const collaborators = await DocumentCollaborator.findAll({
+    where: { documentId },
+    order: [['id', 'ASC']]
+  });
+  collaborators.forEach((collaborator) => {
+    const inherited = members.get(collaborator.userId);
+    if (!inherited || highestRole(collaborator.role, inherited.role) === collaborator.role) {
+      members.set(collaborator.userId, { role: collaborator.role, inheritedFrom: null });
+    }
+  });
+
+  // Direct collaborators first, in the order they were added
+  const directIds = collaborators.map(c => c.userId);
+  const ids = [...new Set([...directIds, ...members.keys()])];
+  return ids.map(userId => ({ userId, ...members.get(userId) }));
+}
+
+// List a document's collaborators with their roles, including members of its
+// workspace and folders
+async function fetchCollaborators(documentId) {
+  const members = await getDocumentMembers(documentId);
+  const users = await User.findAll({
+    where: { id: members.map(m => m.userId) },
+    attributes: ['id', 'username', 'email']
+  });
+
+  return members.map((member) => {
+    const user = users.find(u => u.id === member.userId);
+    return {
+      id: member.userId,
+      username: user ? user.username : null,
+      email: user ? user.email : null,
+      role: member.role,
+      inheritedFrom: member.inheritedFrom
+    };
+  });
+}
+
+module.exports = { getContainerMembers, getDocumentMembers, fetchCollaborators };
@@ -0,0 +1,95 @@
+const { Document } = require('../models/Document');
+const { CommentThread, Comment } = require('../models/Comment');
+const User = require('../models/User');
+const { documentStates, anchorKey, rebaseRange } = require('./documentState');
+
+const userAttributes = ['id', 'username', 'email'];
+
+function commentError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function applyLiveAnchor(thread) {
+  const state = documentStates.get(String(thread.documentId));
+  const anchor = state && state.anchors.get(anchorKey('comment', thread.id));
+  if (anchor) {
+    thread.setDataValue('anchorStart', anchor.start);
+    thread.setDataValue('anchorEnd', anchor.end);
+  }
+}
+
+// Fetch a thread with its replies, using live anchors if the document is open
+async function loadThread(threadId) {
+  const thread = await CommentThread.findByPk(threadId, {
+    include: [
+      { model: User, as: 'createdBy', attributes: userAttributes },
+      { model: User, as: 'resolvedBy', attributes: userAttributes },
+      {
+        model: Comment,
+        as: 'comments',
+        include: [{ model: User, as: 'author', attributes: userAttributes }]
+      }
+    ],
+    order: [[{ model: Comment, as: 'comments' }, 'createdAt', 'ASC']]
+  });
+
+  if (thread) {
+    applyLiveAnchor(thread);
+  }
+  return thread;
+}
+
+// Open a thread on a text range with its first reply. The range is checked
+// against the live content when the document is open (rebased from
+// `revision` if given), so run this on the instance that owns the room.
+async function createThread(documentId, { anchorStart, anchorEnd, revision, body, mentions, userId }) {
+  let range = { start: anchorStart, end: anchorEnd };
+  let content;
+  const state = documentStates.get(String(documentId));
+  if (state && !state.loading) {
+    if (revision !== undefined) {
+      range = rebaseRange(state, revision, range);
+      if (!range) {
+        throw commentError('Revision is out of range, resync required', 409);
+      }
+    }
+    content = state.content;
+  } else {
+    const document = await Document.findByPk(documentId, { attributes: ['content'] });
+    content = document.content || '';
+  }
+
+  if (range.end > content.length) {
+    throw commentError('Anchor is outside the document', 400);
+  }
+
+  const thread = await CommentThread.create({
+    documentId,
+    anchorStart: range.start,
+    anchorEnd: range.end,
+    quotedText: content.slice(range.start, range.end),
+    createdById: userId
+  });
+  await Comment.create({
+    threadId: thread.id,
+    authorId: userId,
+    body,
+    mentions
+  });
+
+  // Track the anchor so it moves with live edits
+  if (state) {
+    state.anchors.set(anchorKey('comment', thread.id), { start: range.start, end: range.end, dirty: false });
+  }
+
+  return loadThread(thread.id);
+}
+
+module.exports = {
+  userAttributes,
+  applyLiveAnchor,
+  loadThread,
+  createThread
+};
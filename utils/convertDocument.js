@@ -0,0 +1,61 @@
+const sequelize = require('../config/database');
+const { Document } = require('../models/Document');
+const { CommentThread } = require('../models/Comment');
+const Suggestion = require('../models/Suggestion');
+const versionStore = require('./versionStore');
+const { convertTextContent } = require('./richText');
+
+// Convert a plain-text document to rich text: one paragraph per
+// blank-line-separated block. The plain text is kept as a version, and
+// comment and suggestion anchors move to the same text in the new content.
+// Callers tell open rooms through the 'document-format-changed' event.
+// Returns { document, version }.
+async function convertDocumentToRichText(documentId, userId) {
+  return sequelize.transaction(async (transaction) => {
+    const document = await Document.findByPk(documentId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!document) {
+      const error = new Error('Document not found');
+      error.status = 404;
+      throw error;
+    }
+    if (document.format === 'rich') {
+      const error = new Error('Document is already rich text');
+      error.status = 400;
+      throw error;
+    }
+
+    const { content, mapOffset } = convertTextContent(document.content);
+
+    await versionStore.createVersion({
+      documentId: document.id,
+      content: document.content || '',
+      format: 'text',
+      updatedById: userId,
+      kind: 'save',
+      name: 'Plain text before conversion'
+    }, { transaction });
+
+    const [threads, suggestions] = await Promise.all([
+      CommentThread.findAll({ where: { documentId: document.id }, transaction }),
+      Suggestion.findAll({ where: { documentId: document.id, status: 'pending' }, transaction })
+    ]);
+    for (const anchored of [...threads, ...suggestions]) {
+      anchored.anchorStart = mapOffset(anchored.anchorStart);
+      anchored.anchorEnd = mapOffset(anchored.anchorEnd);
+      // Suggested insertions go into the JSON string, so they must be escaped
+      if (anchored.type === 'insert') {
+        anchored.text = JSON.stringify(anchored.text).slice(1, -1);
+      }
+      await anchored.save({ transaction, silent: true });
+    }
+
+    document.content = content;
+    document.format = 'rich';
+    document.currentVersion += 1;
+    await document.save({ transaction });
+
+    return { document, version: document.currentVersion };
+  });
+}
+
+module.exports = convertDocumentToRichText;
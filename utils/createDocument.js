@@ -0,0 +1,70 @@
+const sequelize = require('../config/database');
+const { Document, DocumentCollaborator } = require('../models/Document');
+const versionStore = require('./versionStore');
+const lobby = require('./lobby');
+
+// Create a document owned by userId, with `content` recorded as its initial
+// version of the given kind (callers check access to the workspace or folder
+// in `fields`, and that content matches `fields.format`). `history`, when
+// given, is recorded instead of the initial version: version fields, oldest
+// first, whose revertedFromVersionId refers to ids of other entries.
+// `collaborators` ({ userId, role }) are added next to the owner. Returns the
+// new document.
+async function createDocument({ fields, content = '', userId, versionKind = 'save', history = null, collaborators = [] }) {
+  const document = await sequelize.transaction(async (transaction) => {
+    const created = await Document.create({
+      ...fields,
+      content,
+      currentVersion: 0
+    }, { transaction });
+
+    // Creator owns the document
+    await DocumentCollaborator.create({
+      documentId: created.id,
+      userId,
+      role: 'owner'
+    }, { transaction });
+
+    for (const collaborator of collaborators) {
+      if (collaborator.userId !== userId) {
+        await DocumentCollaborator.create({
+          documentId: created.id,
+          userId: collaborator.userId,
+          role: collaborator.role
+        }, { transaction });
+      }
+    }
+
+    if (!history) {
+      // Create initial version
+      await versionStore.createVersion({
+        documentId: created.id,
+        content,
+        format: created.format,
+        updatedById: userId,
+        kind: versionKind
+      }, { transaction });
+      return created;
+    }
+
+    // Copied versions keep their dates; revert links move to the copies
+    const copiedIds = new Map();
+    for (const { id, revertedFromVersionId, ...version } of history) {
+      const copy = await versionStore.createVersion({
+        ...version,
+        documentId: created.id,
+        revertedFromVersionId: copiedIds.get(revertedFromVersionId) || null
+      }, { transaction });
+      copiedIds.set(id, copy.id);
+    }
+    created.currentVersion = history.length;
+    await created.save({ transaction });
+
+    return created;
+  });
+
+  await lobby.documentCreated(document.id);
+  return document;
+}
+
+module.exports = createDocument;
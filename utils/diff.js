@@ -0,0 +1,251 @@
+// Structured line- and word-level text diffs for document versions.
+// Hunks are { type: 'equal' | 'insert' | 'delete', ... } in document order.
+
+// Myers diff over two token arrays. Returns [{ type, tokens }] hunks.
+function diffTokens(oldTokens, newTokens) {
+  const edits = [];
+  diffRange(oldTokens, 0, oldTokens.length, newTokens, 0, newTokens.length, edits);
+  return edits;
+}
+
+function pushTokens(edits, type, tokens) {
+  if (tokens.length === 0) {
+    return;
+  }
+  const last = edits[edits.length - 1];
+  if (last && last.type === type) {
+    last.tokens = last.tokens.concat(tokens);
+  } else {
+    edits.push({ type, tokens: tokens.slice() });
+  }
+}
+
+// Diff a[aStart, aEnd) against b[bStart, bEnd), appending hunks to edits
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, edits) {
+  // Trim the common prefix and suffix, which is most of a typical edit
+  let prefix = 0;
+  while (aStart + prefix < aEnd && bStart + prefix < bEnd && a[aStart + prefix] === b[bStart + prefix]) {
+    prefix++;
+  }
+  pushTokens(edits, 'equal', a.slice(aStart, aStart + prefix));
+  aStart += prefix;
+  bStart += prefix;
+
+  let suffix = 0;
+  while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) {
+    suffix++;
+  }
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  if (aStart === aEnd) {
+    pushTokens(edits, 'insert', b.slice(bStart, bEnd));
+  } else if (bStart === bEnd) {
+    pushTokens(edits, 'delete', a.slice(aStart, aEnd));
+  } else {
+    bisect(a, aStart, aEnd, b, bStart, bEnd, edits);
+  }
+
+  pushTokens(edits, 'equal', a.slice(aEnd, aEnd + suffix));
+}
+
+// Linear-space Myers: run the search forwards from the start and backwards
+// from the end until the paths meet (the "middle snake"), then diff the two
+// halves on either side of it. Only the furthest-reaching x per diagonal is
+// kept, so memory stays O(n + m) instead of one copy per edit step.
+function bisect(a, aStart, aEnd, b, bStart, bEnd, edits) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const size = 2 * maxD;
+  const forward = new Array(size).fill(-1);
+  const backward = new Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  const delta = n - m;
+  // With an odd delta the paths meet on a forward step, otherwise backward
+  const meetForward = delta % 2 !== 0;
+  // Diagonals that ran off the edge of the grid are skipped
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  const split = (x, y) => {
+    diffRange(a, aStart, aStart + x, b, bStart, bStart + y, edits);
+    diffRange(a, aStart + x, aEnd, b, bStart + y, bEnd, edits);
+  };
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (meetForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && backward[other] !== -1 && x >= n - backward[other]) {
+          return split(x, y);
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && backward[index - 1] < backward[index + 1])
+        ? backward[index + 1]
+        : backward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[index] = x;
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!meetForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && forward[other] !== -1) {
+          const forwardX = forward[other];
+          if (forwardX >= n - x) {
+            return split(forwardX, forwardX - (other - offset));
+          }
+        }
+      }
+    }
+  }
+
+  // Nothing in common
+  pushTokens(edits, 'delete', a.slice(aStart, aEnd));
+  pushTokens(edits, 'insert', b.slice(bStart, bEnd));
+}
+
+function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+// Words and the whitespace between them, so joining tokens restores the text
+function splitWords(text) {
+  return text.split(/(\s+)/).filter(token => token.length > 0);
+}
+
+function countWords(tokens) {
+  return tokens.filter(token => !/^\s+$/.test(token)).length;
+}
+
+// Diff two texts. Returns line hunks (with 1-based start lines), word hunks
+// covering the whole text, and summary stats.
+function diffText(oldText, newText) {
+  const lineEdits = diffTokens(splitLines(oldText || ''), splitLines(newText || ''));
+
+  const lines = [];
+  const words = [];
+  const stats = {
+    linesAdded: 0,
+    linesRemoved: 0,
+    linesUnchanged: 0,
+    wordsAdded: 0,
+    wordsRemoved: 0
+  };
+
+  let oldLine = 1;
+  let newLine = 1;
+  let pendingDelete = null;
+
+  const pushWords = (type, text) => {
+    if (text.length === 0) {
+      return;
+    }
+    const last = words[words.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      words.push({ type, text });
+    }
+  };
+
+  // Line separators belong before every line except the first of each text
+  const pushSeparator = (inOld, inNew) => {
+    if (inOld && inNew) {
+      pushWords('equal', '\n');
+    } else if (inOld) {
+      pushWords('delete', '\n');
+    } else if (inNew) {
+      pushWords('insert', '\n');
+    }
+  };
+
+  // Word-level diff of a changed region of whole lines
+  const pushRegion = (deletedLines, insertedLines, oldStart, newStart) => {
+    pushSeparator(oldStart > 1 && deletedLines.length > 0, newStart > 1 && insertedLines.length > 0);
+    const edits = diffTokens(splitWords(deletedLines.join('\n')), splitWords(insertedLines.join('\n')));
+    for (const edit of edits) {
+      pushWords(edit.type, edit.tokens.join(''));
+      if (edit.type === 'insert') {
+        stats.wordsAdded += countWords(edit.tokens);
+      } else if (edit.type === 'delete') {
+        stats.wordsRemoved += countWords(edit.tokens);
+      }
+    }
+  };
+
+  lineEdits.forEach((edit, i) => {
+    const next = lineEdits[i + 1];
+
+    if (edit.type === 'equal') {
+      lines.push({ type: 'equal', oldStart: oldLine, newStart: newLine, lines: edit.tokens });
+      for (const line of edit.tokens) {
+        pushSeparator(oldLine > 1, newLine > 1);
+        pushWords('equal', line);
+        oldLine++;
+        newLine++;
+      }
+      stats.linesUnchanged += edit.tokens.length;
+      return;
+    }
+
+    if (edit.type === 'delete') {
+      lines.push({ type: 'delete', oldStart: oldLine, newStart: newLine, lines: edit.tokens });
+      stats.linesRemoved += edit.tokens.length;
+      // Pair with a following insert so replaced lines get a word diff
+      if (next && next.type === 'insert') {
+        pendingDelete = { lines: edit.tokens, oldStart: oldLine };
+      } else {
+        pushRegion(edit.tokens, [], oldLine, newLine);
+      }
+      oldLine += edit.tokens.length;
+      return;
+    }
+
+    lines.push({ type: 'insert', oldStart: oldLine, newStart: newLine, lines: edit.tokens });
+    stats.linesAdded += edit.tokens.length;
+    if (pendingDelete) {
+      pushRegion(pendingDelete.lines, edit.tokens, pendingDelete.oldStart, newLine);
+      pendingDelete = null;
+    } else {
+      pushRegion([], edit.tokens, oldLine, newLine);
+    }
+    newLine += edit.tokens.length;
+  });
+
+  return { lines, words, stats };
+}
+
+module.exports = {
+  diffTokens,
+  diffText
+};
@@ -0,0 +1,7 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for document changes made outside the socket handlers
+// (e.g. REST routes), so server.js can push them to connected clients.
+const documentEvents = new EventEmitter();
+
+module.exports = documentEvents;
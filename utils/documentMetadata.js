@@ -0,0 +1,73 @@
+// Validation of editable document metadata: title, description, tags
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const METADATA_FIELDS = ['title', 'description', 'tags'];
+
+// Trimmed, de-duplicated (case-insensitively) tags in their given order
+function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+  for (const tag of tags) {
+    const trimmed = tag.trim();
+    if (trimmed && !seen.has(trimmed.toLowerCase())) {
+      seen.add(trimmed.toLowerCase());
+      result.push(trimmed);
+    }
+  }
+  return result;
+}
+
+// Validate the metadata fields present in a request body.
+// Returns { values } with normalized values, or { error } with a message.
+function parseMetadata(body) {
+  const values = {};
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim() || body.title.length > 255) {
+      return { error: 'Title must be a non-empty string of at most 255 characters' };
+    }
+    values.title = body.title.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'Description must be a string or null' };
+    }
+    values.description = body.description ? body.description.trim() || null : null;
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'Tags must be an array of strings' };
+    }
+    const tags = normalizeTags(body.tags);
+    if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `At most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters each` };
+    }
+    values.tags = tags;
+  }
+
+  return { values };
+}
+
+// { field: { from, to } } for the values that differ from the document's
+function diffMetadata(document, values) {
+  const changes = {};
+  for (const field of METADATA_FIELDS) {
+    if (values[field] === undefined) {
+      continue;
+    }
+    const from = document[field] === undefined ? null : document[field];
+    if (JSON.stringify(from) !== JSON.stringify(values[field])) {
+      changes[field] = { from, to: values[field] };
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  METADATA_FIELDS,
+  parseMetadata,
+  diffMetadata
+};
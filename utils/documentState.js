@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { Document } = require('../models/Document');
+const { CommentThread } = require('../models/Comment');
+const Suggestion = require('../models/Suggestion');
+const ot = require('./ot');
+const { contentError } = require('./richText');
+
+// Authoritative in-memory state per open document:
+// { sessionId, content, format, revision, history: [{ revision, userId, operations }],
+//   anchors: Map(anchorKey -> { start, end, dirty }), loading }
+// Revisions count from 0 each time a state is loaded; sessionId tells loads apart.
+// Anchor keys are built with anchorKey() for comment threads and suggestions.
+const documentStates = new Map();
+// Number of past revisions kept for rebasing stale client operations
+const MAX_HISTORY = 500;
+
+// Models whose rows carry anchorStart/anchorEnd ranges that follow edits
+const ANCHORED_MODELS = {
+  comment: CommentThread,
+  suggestion: Suggestion
+};
+
+function anchorKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function emptyState() {
+  return {
+    sessionId: crypto.randomUUID(),
+    content: '',
+    format: 'text',
+    revision: 0,
+    history: [],
+    anchors: new Map(),
+    loading: null
+  };
+}
+
+// Fill a state with the document's content and the anchors of its comment
+// threads and pending suggestions
+async function readState(key, state) {
+  const [document, threads, suggestions] = await Promise.all([
+    Document.findByPk(key),
+    CommentThread.findAll({ where: { documentId: key }, attributes: ['id', 'anchorStart', 'anchorEnd'] }),
+    Suggestion.findAll({ where: { documentId: key, status: 'pending' }, attributes: ['id', 'anchorStart', 'anchorEnd'] })
+  ]);
+  if (!document) {
+    throw new Error('Document not found');
+  }
+  state.content = document.content || '';
+  state.format = document.format;
+  for (const thread of threads) {
+    state.anchors.set(anchorKey('comment', thread.id), { start: thread.anchorStart, end: thread.anchorEnd, dirty: false });
+  }
+  for (const suggestion of suggestions) {
+    state.anchors.set(anchorKey('suggestion', suggestion.id), { start: suggestion.anchorStart, end: suggestion.anchorEnd, dirty: false });
+  }
+}
+
+// Load (or reuse) the server-side state of a document room
+async function getDocumentState(documentId) {
+  const key = String(documentId);
+  if (documentStates.has(key)) {
+    const state = documentStates.get(key);
+    if (state.loading) {
+      await state.loading;
+    }
+    return state;
+  }
+
+  const state = emptyState();
+  documentStates.set(key, state);
+  state.loading = readState(key, state).catch((error) => {
+    documentStates.delete(key);
+    throw error;
+  }).finally(() => {
+    state.loading = null;
+  });
+
+  await state.loading;
+  return state;
+}
+
+// Load a document's state without opening its room, for changes made while
+// nobody is editing it. Its moved anchors are saved with saveAnchors(id, { state }).
+async function loadDocumentState(documentId) {
+  const state = emptyState();
+  await readState(String(documentId), state);
+  return state;
+}
+
+// Transform operations made against baseRevision so they apply to the
+// current content. Throws a RESYNC_REQUIRED error if the revision is no
+// longer in history.
+function rebaseOperations(state, baseRevision, operations) {
+  const oldestRevision = state.revision - state.history.length;
+  if (!Number.isInteger(baseRevision) || baseRevision < oldestRevision || baseRevision > state.revision) {
+    const error = new Error('Revision is out of range, resync required');
+    error.code = 'RESYNC_REQUIRED';
+    throw error;
+  }
+
+  let rebased = operations;
+  for (const entry of state.history.slice(baseRevision - oldestRevision)) {
+    rebased = ot.transform(rebased, entry.operations)[0];
+  }
+  return rebased;
+}
+
+// Operations are character offsets transformed as plain text, which in
+// rich-text content would cut through its JSON. Rich-text documents only take
+// whole contents, diffed against the current one.
+function assertTextOperations(state) {
+  if (state.format === 'rich') {
+    const error = new Error('Rich-text documents take the whole content, not operations');
+    error.code = 'INVALID_CONTENT';
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Rebase operations made against baseRevision onto the current state,
+// apply them and record a new revision. Throws an INVALID_CONTENT error,
+// leaving the state untouched, if the result is not valid for the
+// document's format.
+function applyClientOperations(state, baseRevision, operations, userId) {
+  const rebased = rebaseOperations(state, baseRevision, operations);
+
+  const content = ot.applyOperations(state.content, rebased);
+  const invalid = contentError(state.format, content);
+  if (invalid) {
+    const error = new Error(`Change would make the rich text invalid (${invalid})`);
+    error.code = 'INVALID_CONTENT';
+    throw error;
+  }
+
+  state.content = content;
+  moveAnchors(state, rebased);
+  state.revision += 1;
+  state.history.push({ revision: state.revision, userId, operations: rebased });
+  if (state.history.length > MAX_HISTORY) {
+    state.history.shift();
+  }
+
+  return { revision: state.revision, operations: rebased };
+}
+
+// Shift comment and suggestion anchors through applied operations
+function moveAnchors(state, operations) {
+  state.anchors.forEach((anchor) => {
+    const moved = ot.transformRange(anchor, operations);
+    if (moved.start !== anchor.start || moved.end !== anchor.end) {
+      anchor.start = moved.start;
+      anchor.end = moved.end;
+      anchor.dirty = true;
+    }
+  });
+}
+
+// Map a range given against an earlier revision onto the current content.
+// Returns null if the revision is no longer in history.
+function rebaseRange(state, baseRevision, range) {
+  const oldestRevision = state.revision - state.history.length;
+  if (!Number.isInteger(baseRevision) || baseRevision < oldestRevision || baseRevision > state.revision) {
+    return null;
+  }
+
+  let rebased = range;
+  for (const entry of state.history.slice(baseRevision - oldestRevision)) {
+    rebased = ot.transformRange(rebased, entry.operations);
+  }
+  return rebased;
+}
+
+// Persist anchors that moved since the last save, of the open room's state
+// or the given one
+async function saveAnchors(documentId, { state = documentStates.get(String(documentId)), transaction } = {}) {
+  if (!state) {
+    return;
+  }
+
+  for (const [key, anchor] of state.anchors) {
+    if (!anchor.dirty) {
+      continue;
+    }
+    anchor.dirty = false;
+    const [kind, id] = key.split(':');
+    await ANCHORED_MODELS[kind].update(
+      { anchorStart: anchor.start, anchorEnd: anchor.end },
+      { where: { id }, silent: true, transaction }
+    );
+  }
+}
+
+module.exports = {
+  documentStates,
+  anchorKey,
+  getDocumentState,
+  loadDocumentState,
+  assertTextOperations,
+  rebaseOperations,
+  applyClientOperations,
+  rebaseRange,
+  saveAnchors
+};
@@ -0,0 +1,102 @@
+const sequelize = require('../config/database');
+const { Document, DocumentCollaborator } = require('../models/Document');
+const versionStore = require('./versionStore');
+const createDocument = require('./createDocument');
+
+// What a duplicate starts from: a stored version by id, or the source's
+// current content. Duplicating only needs read access, so nothing is written
+// to the source. The current content is not a stored version, so versionId
+// is null then. Returns { source, content, format, versionId, history } with
+// the versions up to the fork point.
+async function forkPoint(sourceId, versionId) {
+  return sequelize.transaction(async (transaction) => {
+    // Saves lock the row too, so the content and versions read here match
+    const source = await Document.findByPk(sourceId, { lock: transaction.LOCK.SHARE, transaction });
+    if (!source) {
+      const error = new Error('Document not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const versions = await versionStore.loadVersions(source.id, { transaction });
+
+    if (versionId !== undefined) {
+      const index = versions.findIndex(version => version.id === versionId);
+      if (index === -1) {
+        const error = new Error('Version not found');
+        error.status = 404;
+        throw error;
+      }
+      const version = versions[index];
+      return {
+        source,
+        content: version.content,
+        format: version.format,
+        versionId: version.id,
+        history: versions.slice(0, index + 1)
+      };
+    }
+
+    return {
+      source,
+      content: source.content || '',
+      format: source.format,
+      versionId: null,
+      history: versions
+    };
+  });
+}
+
+// Copy document sourceId as a new document owned by userId, recording the
+// document and version it was forked from (no version when the current
+// content is copied). `options`:
+//   title, workspaceId, folderId: for the copy (callers check access)
+//   versionId: copy this stored version instead of the current content
+//   includeHistory: copy the versions up to the forked one
+//   includeCollaborators: give the source's direct collaborators the same
+//     role on the copy, with owners as editors (callers check the manage
+//     permission on the source)
+// Comments and suggestions are not copied. Returns the new document.
+async function duplicateDocument(sourceId, userId, options = {}) {
+  const { source, content, format, versionId, history } = await forkPoint(sourceId, options.versionId);
+
+  const collaborators = options.includeCollaborators
+    ? await DocumentCollaborator.findAll({ where: { documentId: source.id }, attributes: ['userId', 'role'] })
+    : [];
+
+  return createDocument({
+    fields: {
+      title: options.title,
+      description: source.description,
+      tags: source.tags,
+      format,
+      templateId: source.templateId,
+      workspaceId: options.workspaceId,
+      folderId: options.folderId,
+      forkedFromDocumentId: source.id,
+      forkedFromVersionId: versionId
+    },
+    content,
+    userId,
+    history: options.includeHistory
+      ? history.map(entry => ({
+        id: entry.id,
+        content: entry.content,
+        format: entry.format,
+        updatedById: entry.updatedById,
+        kind: entry.kind,
+        name: entry.name,
+        description: entry.description,
+        revertedFromVersionId: entry.revertedFromVersionId,
+        createdAt: entry.createdAt
+      }))
+      : null,
+    // Only the user making the copy owns it
+    collaborators: collaborators.map(({ userId: collaboratorId, role }) => ({
+      userId: collaboratorId,
+      role: role === 'owner' ? 'editor' : role
+    }))
+  });
+}
+
+module.exports = duplicateDocument;
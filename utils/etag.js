@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Entity tag of a document's stored content: its version number, which goes
+// up on every content change, and a hash of the content
+function documentETag(document) {
+  const hash = crypto.createHash('sha1').update(document.content || '').digest('hex').slice(0, 16);
+  return `"${document.currentVersion}-${hash}"`;
+}
+
+// Whether an If-Match header value matches the current entity tag.
+// Accepts "*" and comma-separated lists; weak tags compare by their value.
+function ifMatchSatisfied(header, etag) {
+  if (header === undefined) {
+    return true;
+  }
+
+  const tags = String(header).split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  return tags.includes('*') || tags.includes(etag);
+}
+
+module.exports = { documentETag, ifMatchSatisfied };
@@ -0,0 +1,529 @@
+// Render a document to a downloadable file. Everything is generated
+// in-process: Markdown, HTML and text by hand, PDF with pdfkit and DOCX with
+// docx. Renderers take an export model from exportModel() and resolve to a
+// Buffer. Rich-text documents are rendered block by block with their
+// formatting; plain text is split into paragraphs.
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+const { escapeHtml } = require('./html');
+const { parseRichText, toPlainText } = require('./richText');
+
+const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+// What gets exported: the document's metadata plus the content of either the
+// document itself or one of its versions. `content` is always plain text;
+// `blocks` holds the structure of rich-text content and is null otherwise.
+function exportModel(document, version = null) {
+  const source = version || document;
+  const format = source.format || 'text';
+  const raw = source.content || '';
+  const { doc } = format === 'rich' ? parseRichText(raw) : {};
+  return {
+    title: document.title,
+    description: document.description || null,
+    tags: document.tags || [],
+    content: toPlainText(format, raw),
+    blocks: doc ? doc.blocks : null,
+    version: version
+      ? { id: version.id, kind: version.kind, name: version.name, createdAt: version.createdAt }
+      : { number: document.currentVersion, createdAt: document.updatedAt },
+    exportedAt: new Date()
+  };
+}
+
+// "4 (2024-05-01T10:00:00.000Z)" for the current content, or
+// "#12, save, \"Sent to legal\" (2024-05-01T10:00:00.000Z)" for a stored version
+function versionLabel(model) {
+  const { version } = model;
+  const date = new Date(version.createdAt).toISOString();
+  if (version.id === undefined) {
+    return `${version.number} (${date})`;
+  }
+  const details = [`#${version.id}`, version.kind, version.name ? `"${version.name}"` : null].filter(Boolean);
+  return `${details.join(', ')} (${date})`;
+}
+
+// Metadata lines shown under the title, as [label, value]
+function metadataLines(model) {
+  const lines = [];
+  if (model.tags.length > 0) {
+    lines.push(['Tags', model.tags.join(', ')]);
+  }
+  lines.push(['Version', versionLabel(model)]);
+  lines.push(['Exported', model.exportedAt.toISOString()]);
+  return lines;
+}
+
+// Blank lines separate paragraphs; single newlines are line breaks
+function paragraphs(content) {
+  return content
+    .replace(/\r\n/g, '\n')
+    .split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => paragraph.split('\n'));
+}
+
+function hasMark(inline, type) {
+  return (inline.marks || []).find(mark => mark.type === type);
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]~<>#|])/g, '\\$1');
+}
+
+// Code spans are fenced with more backticks than the text contains
+function markdownCode(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const padding = /^`|`$/.test(text) ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+function markdownInlines(content) {
+  return content.map((inline) => {
+    if (!inline.text) {
+      return '';
+    }
+    let text = hasMark(inline, 'code') ? markdownCode(inline.text) : escapeMarkdown(inline.text);
+    if (hasMark(inline, 'bold')) text = `**${text}**`;
+    if (hasMark(inline, 'italic')) text = `_${text}_`;
+    if (hasMark(inline, 'strike')) text = `~~${text}~~`;
+    if (hasMark(inline, 'underline')) text = `<u>${text}</u>`;
+    const link = hasMark(inline, 'link');
+    if (link) text = `[${text}](${link.href.replace(/[()\s]/g, encodeURIComponent)})`;
+    return text;
+  }).join('').replace(/\n/g, '  \n');
+}
+
+function markdownBlocks(blocks) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'paragraph':
+        return markdownInlines(block.content);
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${markdownInlines(block.content)}`;
+      case 'list':
+        return block.items.map((item, i) => {
+          const marker = block.ordered ? `${i + 1}. ` : '- ';
+          const body = markdownBlocks(item.blocks).replace(/\n(?!\n)/g, `\n${' '.repeat(marker.length)}`);
+          return `${marker}${body}`;
+        }).join('\n');
+      case 'blockquote':
+        return markdownBlocks(block.blocks).replace(/^/gm, '> ');
+      case 'code':
+        return `\`\`\`${block.language || ''}\n${block.text}\n\`\`\``;
+      case 'table': {
+        // Markdown tables need a header row, so the first row is used as one
+        const width = Math.max(0, ...block.rows.map(row => row.cells.length));
+        if (width === 0) {
+          return '';
+        }
+        const line = cells => `| ${Array.from({ length: width }, (_, c) =>
+          (cells[c] ? markdownInlines(cells[c].content).replace(/ {2}\n/g, '<br>') : '')).join(' | ')} |`;
+        const [head, ...rows] = block.rows;
+        return [line(head.cells), `|${' --- |'.repeat(width)}`, ...rows.map(row => line(row.cells))].join('\n');
+      }
+      case 'divider':
+        return '---';
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+async function renderMarkdown(model) {
+  const lines = [`# ${model.title}`, ''];
+  if (model.description) {
+    lines.push(`> ${model.description.replace(/\n/g, '\n> ')}`, '');
+  }
+  metadataLines(model).forEach(([label, value]) => lines.push(`**${label}:** ${value}  `));
+  lines.push('', '---', '', model.blocks ? markdownBlocks(model.blocks) : model.content);
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+async function renderText(model) {
+  const lines = [model.title, '='.repeat(Math.min(model.title.length, 80)), ''];
+  if (model.description) {
+    lines.push(model.description, '');
+  }
+  metadataLines(model).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+  lines.push('', model.content);
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+function htmlInlines(content) {
+  return content.map((inline) => {
+    let html = escapeHtml(inline.text).replace(/\n/g, '<br>\n');
+    if (hasMark(inline, 'code')) html = `<code>${html}</code>`;
+    if (hasMark(inline, 'bold')) html = `<strong>${html}</strong>`;
+    if (hasMark(inline, 'italic')) html = `<em>${html}</em>`;
+    if (hasMark(inline, 'underline')) html = `<u>${html}</u>`;
+    if (hasMark(inline, 'strike')) html = `<s>${html}</s>`;
+    const link = hasMark(inline, 'link');
+    if (link) html = `<a href="${escapeHtml(link.href)}">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+function htmlBlocks(blocks) {
+  return blocks.map((block) => {
+    const id = block.id ? ` id="${escapeHtml(block.id)}"` : '';
+    switch (block.type) {
+      case 'paragraph':
+        return `<p${id}>${htmlInlines(block.content)}</p>`;
+      case 'heading':
+        return `<h${block.level}${id}>${htmlInlines(block.content)}</h${block.level}>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const items = block.items.map(item => `<li>${htmlBlocks(item.blocks)}</li>`).join('\n');
+        return `<${tag}${id}>\n${items}\n</${tag}>`;
+      }
+      case 'blockquote':
+        return `<blockquote${id}>\n${htmlBlocks(block.blocks)}\n</blockquote>`;
+      case 'code': {
+        const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+        return `<pre${id}><code${language}>${escapeHtml(block.text)}</code></pre>`;
+      }
+      case 'table': {
+        const rows = block.rows.map(row => `<tr>${row.cells.map((cell) => {
+          const tag = cell.header ? 'th' : 'td';
+          return `<${tag}>${htmlInlines(cell.content)}</${tag}>`;
+        }).join('')}</tr>`).join('\n');
+        return `<table${id}>\n${rows}\n</table>`;
+      }
+      case 'divider':
+        return `<hr${id}>`;
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n');
+}
+
+async function renderHtml(model) {
+  const metadata = metadataLines(model)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+  const body = model.blocks
+    ? htmlBlocks(model.blocks)
+    : paragraphs(model.content)
+      .map(lines => `<p>${lines.map(escapeHtml).join('<br>\n')}</p>`)
+      .join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(model.title)}</title>
+<style>
+body { font-family: Georgia, serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+header { border-bottom: 1px solid #ddd; margin-bottom: 1.5rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; color: #666; font-size: 0.9rem; }
+dt { font-weight: bold; }
+dd { margin: 0; }
+blockquote { border-left: 3px solid #ddd; margin-left: 0; padding-left: 1rem; color: #555; }
+pre { background: #f6f6f6; padding: 0.75rem; overflow-x: auto; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ddd; padding: 0.25rem 0.5rem; text-align: left; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(model.title)}</h1>
+${model.description ? `<p>${escapeHtml(model.description)}</p>\n` : ''}<dl>${metadata}</dl>
+</header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+  return Buffer.from(html, 'utf8');
+}
+
+const PDF_HEADING_SIZES = [20, 17, 15, 13, 12, 11];
+
+function pdfFont(inline) {
+  if (hasMark(inline, 'code')) {
+    return 'Courier';
+  }
+  const bold = hasMark(inline, 'bold');
+  const italic = hasMark(inline, 'italic');
+  if (bold && italic) return 'Helvetica-BoldOblique';
+  if (bold) return 'Helvetica-Bold';
+  if (italic) return 'Helvetica-Oblique';
+  return 'Helvetica';
+}
+
+// One paragraph of styled runs; pdfkit joins runs written with `continued`
+function pdfInlines(pdf, content, options = {}) {
+  const runs = content.filter(inline => inline.text);
+  if (runs.length === 0) {
+    pdf.text(' ', options);
+    return;
+  }
+  runs.forEach((inline, i) => {
+    const link = hasMark(inline, 'link');
+    pdf.font(options.font || pdfFont(inline)).fillColor(link ? '#1a0dab' : '#000000').text(inline.text, {
+      ...options,
+      continued: i < runs.length - 1,
+      underline: Boolean(hasMark(inline, 'underline') || link),
+      strike: Boolean(hasMark(inline, 'strike')),
+      link: link ? link.href : null
+    });
+  });
+  pdf.fillColor('#000000');
+}
+
+function pdfBlocks(pdf, blocks, indent = 0) {
+  const gap = { indent, paragraphGap: 6 };
+  blocks.forEach((block) => {
+    switch (block.type) {
+      case 'paragraph':
+        pdf.fontSize(11);
+        pdfInlines(pdf, block.content, gap);
+        break;
+      case 'heading':
+        pdf.moveDown(0.3).fontSize(PDF_HEADING_SIZES[block.level - 1]);
+        pdfInlines(pdf, block.content, { ...gap, font: 'Helvetica-Bold' });
+        pdf.fontSize(11);
+        break;
+      case 'list':
+        // The marker starts the item's first paragraph
+        block.items.forEach((item, i) => {
+          const marker = { text: block.ordered ? `${i + 1}. ` : '\u2022 ' };
+          const [first, ...rest] = item.blocks;
+          pdf.fontSize(11);
+          if (first && first.type === 'paragraph') {
+            pdfInlines(pdf, [marker, ...first.content], { indent: indent + 18, paragraphGap: 4 });
+          } else {
+            pdfInlines(pdf, [marker], { indent: indent + 18, paragraphGap: 4 });
+            if (first) {
+              pdfBlocks(pdf, [first], indent + 36);
+            }
+          }
+          pdfBlocks(pdf, rest, indent + 36);
+        });
+        break;
+      case 'blockquote':
+        pdf.fillColor('#555555');
+        pdfBlocks(pdf, block.blocks, indent + 18);
+        pdf.fillColor('#000000');
+        break;
+      case 'code':
+        pdf.font('Courier').fontSize(10).text(block.text || ' ', gap);
+        break;
+      case 'table':
+        block.rows.forEach((row) => {
+          pdf.fontSize(10);
+          pdfInlines(pdf, row.cells.flatMap((cell, c) => [
+            ...(c > 0 ? [{ text: '  |  ' }] : []),
+            ...cell.content.map(inline => (cell.header ? { ...inline, marks: [...(inline.marks || []), { type: 'bold' }] } : inline))
+          ]), { indent });
+        });
+        pdf.moveDown(0.5).fontSize(11);
+        break;
+      case 'divider': {
+        const y = pdf.y + 4;
+        pdf.moveTo(pdf.page.margins.left + indent, y).lineTo(pdf.page.width - pdf.page.margins.right, y).strokeColor('#cccccc').stroke();
+        pdf.moveDown();
+        break;
+      }
+      default:
+        break;
+    }
+  });
+}
+
+// pdfkit's built-in fonts only cover Latin-1 characters
+function renderPdf(model) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      margin: 56,
+      // pdfkit fails on undefined info entries
+      info: model.description
+        ? { Title: model.title, Subject: model.description, Keywords: model.tags.join(', ') }
+        : { Title: model.title, Keywords: model.tags.join(', ') }
+    });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.font('Helvetica-Bold').fontSize(22).text(model.title);
+    if (model.description) {
+      pdf.moveDown(0.5).font('Helvetica-Oblique').fontSize(12).text(model.description);
+    }
+    pdf.moveDown(0.5).font('Helvetica').fontSize(9).fillColor('#666666');
+    metadataLines(model).forEach(([label, value]) => pdf.text(`${label}: ${value}`));
+    pdf.moveDown().fillColor('#000000').fontSize(11);
+    if (model.blocks) {
+      pdfBlocks(pdf, model.blocks);
+    } else {
+      paragraphs(model.content).forEach((lines) => {
+        pdf.text(lines.join('\n'), { paragraphGap: 8 });
+      });
+    }
+
+    pdf.end();
+  });
+}
+
+const DOCX_HEADINGS = ['HEADING_1', 'HEADING_2', 'HEADING_3', 'HEADING_4', 'HEADING_5', 'HEADING_6'];
+
+function docxRuns(content, extra = {}) {
+  return content.flatMap((inline) => {
+    const link = hasMark(inline, 'link');
+    const runs = inline.text.split('\n').map((line, i) => new docx.TextRun({
+      text: line,
+      break: i > 0 ? 1 : 0,
+      bold: Boolean(hasMark(inline, 'bold')) || undefined,
+      italics: Boolean(hasMark(inline, 'italic')) || undefined,
+      strike: Boolean(hasMark(inline, 'strike')) || undefined,
+      underline: hasMark(inline, 'underline') || link ? {} : undefined,
+      font: hasMark(inline, 'code') ? 'Courier New' : undefined,
+      color: link ? '1A0DAB' : undefined,
+      ...extra
+    }));
+    return link ? [new docx.ExternalHyperlink({ link: link.href, children: runs })] : runs;
+  });
+}
+
+// Lists are written as indented paragraphs with their own markers, which
+// avoids defining numbering schemes for every ordered list
+function docxBlocks(blocks, indent = 0, extra = {}) {
+  const left = indent ? { left: indent * 360 } : undefined;
+  return blocks.flatMap((block) => {
+    switch (block.type) {
+      case 'paragraph':
+        return [new docx.Paragraph({ children: docxRuns(block.content, extra), indent: left })];
+      case 'heading':
+        return [new docx.Paragraph({
+          children: docxRuns(block.content, extra),
+          heading: docx.HeadingLevel[DOCX_HEADINGS[block.level - 1]],
+          indent: left
+        })];
+      case 'list':
+        return block.items.flatMap((item, i) => {
+          const marker = block.ordered ? `${i + 1}. ` : '\u2022 ';
+          const [first, ...rest] = item.blocks;
+          const head = first && ['paragraph', 'heading'].includes(first.type)
+            ? [new docx.Paragraph({
+              children: [new docx.TextRun({ text: marker, ...extra }), ...docxRuns(first.content, extra)],
+              indent: { left: (indent + 1) * 360, hanging: 360 }
+            })]
+            : [new docx.Paragraph({ children: [new docx.TextRun({ text: marker, ...extra })], indent: { left: (indent + 1) * 360, hanging: 360 } }),
+              ...(first ? docxBlocks([first], indent + 1, extra) : [])];
+          return [...head, ...docxBlocks(rest, indent + 1, extra)];
+        });
+      case 'blockquote':
+        return docxBlocks(block.blocks, indent + 1, { ...extra, italics: true, color: '555555' });
+      case 'code':
+        return [new docx.Paragraph({
+          children: block.text.split('\n').map((line, i) => new docx.TextRun({ text: line, break: i > 0 ? 1 : 0, font: 'Courier New', size: 20 })),
+          indent: left,
+          shading: { type: docx.ShadingType.CLEAR, fill: 'F6F6F6' }
+        })];
+      case 'table': {
+        const width = Math.max(0, ...block.rows.map(row => row.cells.length));
+        if (width === 0) {
+          return [];
+        }
+        // Word needs every row to have the same number of cells
+        return [new docx.Table({
+          rows: block.rows.map(row => new docx.TableRow({
+            children: Array.from({ length: width }, (_, c) => {
+              const cell = row.cells[c] || { content: [] };
+              return new docx.TableCell({
+                children: [new docx.Paragraph({ children: docxRuns(cell.content, cell.header ? { ...extra, bold: true } : extra) })]
+              });
+            })
+          }))
+        }), new docx.Paragraph({ text: '' })];
+      }
+      case 'divider':
+        return [new docx.Paragraph({
+          text: '',
+          border: { bottom: { style: docx.BorderStyle.SINGLE, size: 6, color: 'CCCCCC', space: 1 } }
+        })];
+      default:
+        return [];
+    }
+  });
+}
+
+async function renderDocx(model) {
+  const children = [new docx.Paragraph({ text: model.title, heading: docx.HeadingLevel.TITLE })];
+  if (model.description) {
+    children.push(new docx.Paragraph({ children: [new docx.TextRun({ text: model.description, italics: true })] }));
+  }
+  metadataLines(model).forEach(([label, value]) => {
+    children.push(new docx.Paragraph({
+      children: [
+        new docx.TextRun({ text: `${label}: `, bold: true, size: 18, color: '666666' }),
+        new docx.TextRun({ text: value, size: 18, color: '666666' })
+      ]
+    }));
+  });
+  children.push(new docx.Paragraph({ text: '' }));
+  if (model.blocks) {
+    children.push(...docxBlocks(model.blocks));
+  } else {
+    paragraphs(model.content).forEach((lines) => {
+      children.push(new docx.Paragraph({
+        children: lines.map((line, i) => new docx.TextRun({ text: line, break: i > 0 ? 1 : 0 }))
+      }));
+    });
+  }
+
+  const file = new docx.Document({
+    title: model.title,
+    description: model.description || undefined,
+    keywords: model.tags.join(', '),
+    sections: [{ children }]
+  });
+  return docx.Packer.toBuffer(file);
+}
+
+const RENDERERS = {
+  md: renderMarkdown,
+  html: renderHtml,
+  pdf: renderPdf,
+  docx: renderDocx,
+  txt: renderText
+};
+
+function renderExport(format, model) {
+  return RENDERERS[format](model);
+}
+
+// "Q3 Plan: draft" -> "Q3 Plan - draft", safe as a file or directory name
+function safeName(name, fallback) {
+  return String(name || '')
+    .replace(/(\s*[\\/:*?"<>|\x00-\x1f]+\s*)+/g, ' - ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.-]+|[\s.-]+$/g, '')
+    .slice(0, 100) || fallback;
+}
+
+function exportFileName(title, format) {
+  return `${safeName(title, 'document')}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Path of a document inside a bulk export zip, e.g. "Design Team/Specs/Q3 Plan.pdf"
+function exportPath(folderNames, title, format) {
+  return [...folderNames.map(name => safeName(name, 'folder')), exportFileName(title, format)].join('/');
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportModel,
+  renderExport,
+  exportFileName,
+  exportPath
+};
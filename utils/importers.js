@@ -0,0 +1,113 @@
+// Convert uploaded files into document content. The stored format is plain
+// text with blank lines between paragraphs; Markdown is kept as written, HTML
+// is converted to text and DOCX goes through HTML with mammoth.
+const path = require('path');
+const mammoth = require('mammoth');
+const { convert } = require('html-to-text');
+
+const IMPORT_EXTENSIONS = {
+  '.md': 'md',
+  '.markdown': 'md',
+  '.html': 'html',
+  '.htm': 'html',
+  '.docx': 'docx',
+  '.txt': 'txt'
+};
+
+// Headings keep their case, links show their target once, images are dropped
+const HTML_TO_TEXT_OPTIONS = {
+  wordwrap: false,
+  selectors: [
+    ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map(selector => ({ selector, options: { uppercase: false } })),
+    { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+    { selector: 'img', format: 'skip' },
+    { selector: 'table', format: 'dataTable', options: { uppercaseHeaderCells: false } }
+  ]
+};
+
+function importFormat(fileName) {
+  return IMPORT_EXTENSIONS[path.extname(fileName).toLowerCase()] || null;
+}
+
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+function htmlToText(html) {
+  return convert(html, HTML_TO_TEXT_OPTIONS).trim();
+}
+
+// Text of the first <h1>–<h6>, or null
+function firstHtmlHeading(html) {
+  const match = html.match(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/i);
+  return match ? htmlToText(match[1]) || null : null;
+}
+
+// Text of the first "# Heading" line, or null
+function firstMarkdownHeading(text) {
+  const match = text.match(/^#{1,6}[ \t]+(.+?)[ \t#]*$/m);
+  return match ? match[1].trim() : null;
+}
+
+// Drop the heading that became the title when it opens the content, so
+// exports do not repeat it
+function withoutLeadingTitle(content, title, headingPattern) {
+  const lines = content.split('\n');
+  const first = lines.findIndex(line => line.trim());
+  if (first !== -1 && lines[first].trim().replace(headingPattern, '').trim() === title) {
+    lines.splice(0, first + 1);
+  }
+  return lines.join('\n').replace(/^\n+/, '');
+}
+
+// { title, content } for an uploaded file ({ originalname, buffer }). The
+// title is the first heading, or the file name without its extension.
+// Throws an error with status 400 for unsupported or unreadable files.
+async function convertImport(file) {
+  const format = importFormat(file.originalname);
+  if (!format) {
+    const error = new Error(`Unsupported file type; upload ${Object.keys(IMPORT_EXTENSIONS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  let heading = null;
+  let content;
+  if (format === 'md') {
+    content = decodeText(file.buffer);
+    heading = firstMarkdownHeading(content);
+    if (heading) {
+      content = withoutLeadingTitle(content, heading, /^#{1,6}\s+|\s+#*$/g);
+    }
+  } else if (format === 'txt') {
+    content = decodeText(file.buffer);
+  } else {
+    let html;
+    if (format === 'html') {
+      html = decodeText(file.buffer);
+    } else {
+      try {
+        html = (await mammoth.convertToHtml({ buffer: file.buffer })).value;
+      } catch (cause) {
+        const error = new Error('File is not a readable .docx document', { cause });
+        error.status = 400;
+        throw error;
+      }
+    }
+    heading = firstHtmlHeading(html);
+    content = htmlToText(html);
+    if (heading) {
+      content = withoutLeadingTitle(content, heading, /^$/);
+    }
+  }
+
+  const fileTitle = path.basename(file.originalname, path.extname(file.originalname)).trim();
+  const title = (heading || fileTitle || 'Untitled').slice(0, 255);
+  return { title, content: content.trim() ? content : '' };
+}
+
+module.exports = {
+  IMPORT_EXTENSIONS,
+  importFormat,
+  convertImport
+};
@@ -0,0 +1,74 @@
+const { Document } = require('../models/Document');
+const documentEvents = require('./documentEvents');
+const { getDocumentMembers } = require('./collaborators');
+
+// Document list changes for the /lobby socket namespace. Each event goes only
+// to users who can access the document; server.js adds the active user count.
+// Failures are logged rather than thrown: the lobby must never break a save.
+
+async function accessibleUserIds(documentId) {
+  const members = await getDocumentMembers(documentId);
+  return members.map(m => m.userId);
+}
+
+function summarize(document) {
+  return {
+    id: document.id,
+    title: document.title,
+    tags: document.tags,
+    workspaceId: document.workspaceId,
+    folderId: document.folderId,
+    updatedAt: document.updatedAt,
+    currentVersion: document.currentVersion
+  };
+}
+
+async function notify(event, documentId, userIds, data) {
+  documentEvents.emit('lobby-event', {
+    documentId: String(documentId),
+    event,
+    userIds: userIds || await accessibleUserIds(documentId),
+    data
+  });
+}
+
+// A document was created, or shared with `userIds` (reason 'shared')
+async function documentCreated(documentId, { userIds, reason = 'created' } = {}) {
+  try {
+    const document = await Document.findByPk(documentId);
+    if (document) {
+      await notify('document-created', documentId, userIds, { ...summarize(document), reason });
+    }
+  } catch (error) {
+    console.error('Lobby document-created error:', error);
+  }
+}
+
+// Metadata, content or presence changed
+async function documentUpdated(documentId) {
+  try {
+    const document = await Document.findByPk(documentId);
+    if (document) {
+      await notify('document-updated', documentId, null, summarize(document));
+    }
+  } catch (error) {
+    console.error('Lobby document-updated error:', error);
+  }
+}
+
+// A document was deleted, or `userIds` lost access to it (reason 'access-revoked').
+// Deleted documents have no collaborators left, so callers pass the user ids.
+async function documentDeleted(documentId, userIds, { reason = 'deleted', deletedBy } = {}) {
+  try {
+    await notify('document-deleted', documentId, userIds, { id: Number(documentId), reason, deletedBy });
+  } catch (error) {
+    console.error('Lobby document-deleted error:', error);
+  }
+}
+
+module.exports = {
+  accessibleUserIds,
+  documentCreated,
+  documentUpdated,
+  documentDeleted
+};
@@ -0,0 +1,174 @@
+const sequelize = require('../config/database');
+const { Document } = require('../models/Document');
+const ot = require('./ot');
+const { contentError } = require('./richText');
+const versionStore = require('./versionStore');
+const { getDocumentState, applyClientOperations } = require('./documentState');
+const lobby = require('./lobby');
+
+// Resync of a client that was offline: it reports the session and revision it
+// last saw plus the operations it queued since, and gets back the changes it
+// missed and whether its own were merged or kept aside as a conflict version.
+
+// Changes made since the client's last revision, as an ordered operation list.
+// Uses the room history when it still reaches back that far, otherwise the
+// content the client last saw. Returns null when neither is available.
+function missedChanges(state, { sessionId, lastRevision, baseContent }) {
+  const oldestRevision = state.revision - state.history.length;
+  if (sessionId === state.sessionId && Number.isInteger(lastRevision) &&
+      lastRevision >= oldestRevision && lastRevision <= state.revision) {
+    const entries = state.history.slice(lastRevision - oldestRevision);
+    return {
+      operations: entries.flatMap(entry => entry.operations),
+      missed: entries.map(({ revision, userId, operations }) => ({ revision, userId, operations }))
+    };
+  }
+
+  if (typeof baseContent === 'string') {
+    return { operations: ot.diffToOperations(baseContent, state.content), missed: null };
+  }
+  return null;
+}
+
+// Whether a concurrent operation touched the text a client operation edits.
+// Inserts at the same position are not a conflict; they are simply ordered.
+function overlaps(range, op) {
+  if (op.type === 'insert') {
+    return range.start < op.position && op.position < range.end;
+  }
+  const opEnd = op.position + op.length;
+  if (range.start === range.end) {
+    return op.position < range.start && range.start < opEnd;
+  }
+  return range.start < opEnd && op.position < range.end;
+}
+
+function conflictsWith(op, concurrent) {
+  let range = op.type === 'insert'
+    ? { start: op.position, end: op.position }
+    : { start: op.position, end: op.position + op.length };
+
+  for (const other of concurrent) {
+    if (overlaps(range, other)) {
+      return true;
+    }
+    range = ot.transformRange(range, [other]);
+  }
+  return false;
+}
+
+// Rebase queued operations over the missed changes one at a time, collecting
+// the operations whose text was changed by someone else in the meantime
+function rebaseOfflineOperations(operations, concurrent) {
+  let theirs = concurrent;
+  const rebased = [];
+  const conflicts = [];
+
+  operations.forEach((op, index) => {
+    if (conflictsWith(op, theirs)) {
+      conflicts.push({ index, operation: op });
+    }
+    const [mine, theirsAfter] = ot.transform([op], theirs);
+    rebased.push(...mine);
+    theirs = theirsAfter;
+  });
+
+  return { rebased, conflicts };
+}
+
+// Merge a reconnecting client's queued operations into the room state.
+// Returns { status, missed, operations, revision, conflicts, conflictVersion }:
+// - up-to-date: nothing was queued
+// - merged: the operations were applied as one new revision
+// - conflict: nothing was applied; the client's content (or the merge, if the
+//   client sent no content) was stored as a 'conflict' version
+async function resyncDocument(documentId, { sessionId, lastRevision, baseContent, operations, content }, { userId, username }) {
+  const state = await getDocumentState(documentId);
+  const queued = ot.normalizeOperations(operations || []);
+  const changes = missedChanges(state, { sessionId, lastRevision, baseContent });
+  const missed = changes ? changes.missed : null;
+
+  if (queued.length === 0) {
+    return { status: 'up-to-date', missed, revision: state.revision };
+  }
+
+  // Queued operations are not merged into rich text (see assertTextOperations)
+  let merged = null;
+  let conflicts = [];
+  if (changes && state.format !== 'rich') {
+    const result = rebaseOfflineOperations(queued, changes.operations);
+    merged = result.rebased;
+    conflicts = result.conflicts;
+  }
+
+  let invalid = false;
+  if (merged && conflicts.length === 0) {
+    try {
+      const applied = applyClientOperations(state, state.revision, merged, userId);
+      return { status: 'merged', missed, operations: applied.operations, revision: applied.revision };
+    } catch (error) {
+      // The merge would break the rich-text structure; keep it as a version
+      if (error.code !== 'INVALID_CONTENT') {
+        throw error;
+      }
+      invalid = true;
+    }
+  }
+
+  // Keep the offline text as its own version instead of dropping it
+  let preserved = typeof content === 'string' ? content : null;
+  if (preserved === null && merged) {
+    preserved = ot.applyOperations(state.content, merged);
+  }
+  if (preserved === null) {
+    const error = new Error(state.format === 'rich'
+      ? 'Offline changes to rich text are kept from their content, which is missing'
+      : 'Offline changes cannot be merged without the revision history or the base content');
+    error.status = 409;
+    throw error;
+  }
+
+  // Under the document row lock like other saves. The new version changes
+  // what the document's versions hold, so currentVersion (and the ETag) move on.
+  const version = await sequelize.transaction(async (transaction) => {
+    const document = await Document.findByPk(documentId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!document) {
+      const error = new Error('Document not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const created = await versionStore.createVersion({
+      documentId: document.id,
+      content: preserved,
+      // Offline rich-text edits that no longer parse are kept as plain text
+      format: contentError(state.format, preserved) ? 'text' : state.format,
+      updatedById: userId,
+      kind: 'conflict',
+      name: `Offline edits by ${username || 'a collaborator'}`,
+      description: invalid
+        ? 'Offline operations would have made the rich text invalid'
+        : changes
+          ? `${conflicts.length} of ${queued.length} offline operations overlapped changes made by others`
+          : 'Offline operations could not be rebased onto the current revision'
+    }, { transaction });
+
+    await document.increment('currentVersion', { transaction });
+    return created;
+  });
+  await lobby.documentUpdated(documentId);
+
+  return {
+    status: 'conflict',
+    missed,
+    revision: state.revision,
+    conflicts,
+    conflictVersion: { id: version.id, name: version.name, createdAt: version.createdAt }
+  };
+}
+
+module.exports = {
+  missedChanges,
+  rebaseOfflineOperations,
+  resyncDocument
+};
@@ -0,0 +1,219 @@
+// Operational transform helpers for plain-text documents.
+// An operation is either { type: 'insert', position, text } or
+// { type: 'delete', position, length }. A change is an ordered list of
+// operations, each applied to the result of the previous one.
+
+function isInsert(op) {
+  return op.type === 'insert';
+}
+
+// Validate and copy a list of operations sent by a client
+function normalizeOperations(operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error('Operations must be an array');
+  }
+
+  return operations
+    .map((op) => {
+      if (!op || !Number.isInteger(op.position) || op.position < 0) {
+        throw new Error('Operation position must be a non-negative integer');
+      }
+
+      if (op.type === 'insert') {
+        if (typeof op.text !== 'string') {
+          throw new Error('Insert operation requires text');
+        }
+        return { type: 'insert', position: op.position, text: op.text };
+      }
+
+      if (op.type === 'delete') {
+        if (!Number.isInteger(op.length) || op.length < 0) {
+          throw new Error('Delete operation requires a non-negative length');
+        }
+        return { type: 'delete', position: op.position, length: op.length };
+      }
+
+      throw new Error(`Unknown operation type: ${op.type}`);
+    })
+    .filter((op) => (isInsert(op) ? op.text.length > 0 : op.length > 0));
+}
+
+function applyOperation(content, op) {
+  if (op.position > content.length) {
+    throw new Error('Operation position is out of range');
+  }
+
+  if (isInsert(op)) {
+    return content.slice(0, op.position) + op.text + content.slice(op.position);
+  }
+
+  if (op.position + op.length > content.length) {
+    throw new Error('Delete operation is out of range');
+  }
+  return content.slice(0, op.position) + content.slice(op.position + op.length);
+}
+
+function applyOperations(content, operations) {
+  return operations.reduce(applyOperation, content || '');
+}
+
+// Transform two concurrent operations against each other.
+// Returns [aPrime, bPrime] where aPrime applies after b and bPrime applies
+// after a. When both insert at the same position, b is ordered first, so
+// callers pass the already-applied (server) operation as b.
+function transformPair(a, b) {
+  if (isInsert(a) && isInsert(b)) {
+    if (a.position < b.position) {
+      return [[a], [{ ...b, position: b.position + a.text.length }]];
+    }
+    return [[{ ...a, position: a.position + b.text.length }], [b]];
+  }
+
+  if (isInsert(a) && !isInsert(b)) {
+    const [bPrime, aPrime] = transformInsertDelete(a, b);
+    return [aPrime, bPrime];
+  }
+
+  if (!isInsert(a) && isInsert(b)) {
+    return transformInsertDelete(b, a);
+  }
+
+  return [transformDeleteDelete(a, b), transformDeleteDelete(b, a)];
+}
+
+// Returns [deletePrime, insertPrime] for a concurrent insert and delete
+function transformInsertDelete(ins, del) {
+  const deleteEnd = del.position + del.length;
+
+  if (ins.position <= del.position) {
+    return [[{ ...del, position: del.position + ins.text.length }], [ins]];
+  }
+
+  if (ins.position >= deleteEnd) {
+    return [[del], [{ ...ins, position: ins.position - del.length }]];
+  }
+
+  // Insert landed inside the deleted range: keep the inserted text and
+  // split the delete around it
+  const before = ins.position - del.position;
+  return [
+    [
+      { type: 'delete', position: del.position, length: before },
+      { type: 'delete', position: del.position + ins.text.length, length: del.length - before }
+    ],
+    [{ ...ins, position: del.position }]
+  ];
+}
+
+// Transform delete a so it applies after delete b
+function transformDeleteDelete(a, b) {
+  const aEnd = a.position + a.length;
+  const bEnd = b.position + b.length;
+
+  if (aEnd <= b.position) {
+    return [a];
+  }
+
+  if (a.position >= bEnd) {
+    return [{ ...a, position: a.position - b.length }];
+  }
+
+  // Ranges overlap: only delete what b has not already removed
+  const remaining = Math.max(0, b.position - a.position) + Math.max(0, aEnd - bEnd);
+  if (remaining === 0) {
+    return [];
+  }
+  return [{ type: 'delete', position: Math.min(a.position, b.position), length: remaining }];
+}
+
+// Transform two concurrent operation lists against each other.
+// Returns [aPrime, bPrime] with the same ordering rules as transformPair.
+function transform(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return [a, b];
+  }
+
+  if (a.length === 1 && b.length === 1) {
+    return transformPair(a[0], b[0]);
+  }
+
+  if (a.length > 1) {
+    const [headPrime, bAfterHead] = transform([a[0]], b);
+    const [restPrime, bPrime] = transform(a.slice(1), bAfterHead);
+    return [headPrime.concat(restPrime), bPrime];
+  }
+
+  const [aAfterHead, headPrime] = transform(a, [b[0]]);
+  const [aPrime, restPrime] = transform(aAfterHead, b.slice(1));
+  return [aPrime, headPrime.concat(restPrime)];
+}
+
+// Move a [start, end) range through a list of operations. Text inserted
+// exactly at either boundary falls outside the range; a range whose text is
+// deleted collapses to the deletion point.
+function transformRange(range, operations) {
+  let { start, end } = range;
+
+  const movePosition = (position, op, isStart) => {
+    if (isInsert(op)) {
+      const shifts = isStart ? op.position <= position : op.position < position;
+      return shifts ? position + op.text.length : position;
+    }
+    if (position <= op.position) {
+      return position;
+    }
+    if (position >= op.position + op.length) {
+      return position - op.length;
+    }
+    return op.position;
+  };
+
+  for (const op of operations) {
+    start = movePosition(start, op, true);
+    end = Math.max(start, movePosition(end, op, false));
+  }
+
+  return { start, end };
+}
+
+// Build the operations that turn one string into another by trimming the
+// common prefix and suffix. Used for clients that still send full content.
+function diffToOperations(oldContent, newContent) {
+  const oldText = oldContent || '';
+  const newText = newContent || '';
+
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const operations = [];
+  const deleted = oldText.length - prefix - suffix;
+  if (deleted > 0) {
+    operations.push({ type: 'delete', position: prefix, length: deleted });
+  }
+  const inserted = newText.slice(prefix, newText.length - suffix);
+  if (inserted.length > 0) {
+    operations.push({ type: 'insert', position: prefix, text: inserted });
+  }
+  return operations;
+}
+
+module.exports = {
+  normalizeOperations,
+  applyOperation,
+  applyOperations,
+  transform,
+  transformRange,
+  diffToOperations
+};
@@ -0,0 +1,119 @@
+const { Document, DocumentCollaborator } = require('../models/Document');
+const DocumentShareLink = require('../models/DocumentShareLink');
+const { WorkspaceMember, Folder, FolderMember } = require('../models/Workspace');
+
+// Collaborator roles, from least to most privileged
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Minimum role required for each kind of action on a document
+const ACTION_ROLES = {
+  read: 'viewer',
+  comment: 'commenter',
+  edit: 'editor',
+  manage: 'owner'
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasRole(role, requiredRole) {
+  if (!role) {
+    return false;
+  }
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+function can(role, action) {
+  return hasRole(role, ACTION_ROLES[action]);
+}
+
+// The more privileged of two roles (either may be null)
+function highestRole(a, b) {
+  if (!a || !b) {
+    return a || b || null;
+  }
+  return hasRole(a, b) ? a : b;
+}
+
+// A folder followed by its ancestors up to the top level
+async function getFolderChain(folderId, options = {}) {
+  const chain = [];
+  const seen = new Set();
+  let id = folderId;
+  while (id && !seen.has(id)) {
+    seen.add(id);
+    const folder = await Folder.findByPk(id, { transaction: options.transaction });
+    if (!folder) {
+      break;
+    }
+    chain.push(folder);
+    id = folder.parentId;
+  }
+  return chain;
+}
+
+// A user's role inside a workspace folder (or at the workspace top level when
+// folderId is null): the highest of their workspace role and their roles on
+// the folder and its ancestors
+async function getContainerRole(workspaceId, folderId, userId, options = {}) {
+  const workspaceMember = await WorkspaceMember.findOne({
+    where: { workspaceId, userId },
+    transaction: options.transaction
+  });
+  let role = workspaceMember ? workspaceMember.role : null;
+
+  const chain = await getFolderChain(folderId, options);
+  if (chain.length > 0) {
+    const folderMembers = await FolderMember.findAll({
+      where: { folderId: chain.map(folder => folder.id), userId },
+      transaction: options.transaction
+    });
+    folderMembers.forEach((member) => {
+      role = highestRole(role, member.role);
+    });
+  }
+  return role;
+}
+
+// Look up a user's role on a document, or null if they have no access.
+// Roles inherited from the document's workspace and folders count too.
+async function getDocumentRole(documentId, userId, options = {}) {
+  const collaborator = await DocumentCollaborator.findOne({
+    where: { documentId, userId },
+    transaction: options.transaction
+  });
+  let role = collaborator ? collaborator.role : null;
+
+  const document = await Document.findByPk(documentId, {
+    attributes: ['id', 'workspaceId', 'folderId'],
+    transaction: options.transaction
+  });
+  if (document && document.workspaceId) {
+    role = highestRole(role, await getContainerRole(document.workspaceId, document.folderId, userId, options));
+  }
+  return role;
+}
+
+// Role granted by a share link on a document, or null if the link is
+// revoked, expired or belongs to another document
+async function getShareLinkRole(shareLinkId, documentId) {
+  const link = await DocumentShareLink.findByPk(shareLinkId);
+  if (!link || link.documentId !== Number(documentId) || !link.isActive()) {
+    return null;
+  }
+  return link.role;
+}
+
+module.exports = {
+  ROLES,
+  ACTION_ROLES,
+  isValidRole,
+  hasRole,
+  can,
+  highestRole,
+  getFolderChain,
+  getContainerRole,
+  getDocumentRole,
+  getShareLinkRole
+};
@@ -0,0 +1,193 @@
+const ot = require('./ot');
+const documentEvents = require('./documentEvents');
+
+// Presence of every socket connection in each document room.
+// rooms: Map(roomId -> Map(socketId -> presence)), where presence is
+// { socketId, userId, username, color, selection, status, lastSeen }
+
+const rooms = new Map();
+
+const COLORS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4',
+  '#42d4f4', '#f032e6', '#469990', '#9a6324', '#800000'
+];
+// Presence diffs are batched and sent at most this often per room
+const PRESENCE_THROTTLE_MS = Number(process.env.PRESENCE_THROTTLE_MS || 100);
+// Connections with no activity for this long are reported as idle
+const IDLE_AFTER_MS = Number(process.env.PRESENCE_IDLE_AFTER_MS || 60000);
+
+// Pending diffs per room: { updated: Map(socketId -> presence), removed: Set(socketId), timer }
+const pendingDiffs = new Map();
+
+// Same color for a user in every tab and room
+function colorFor(userId) {
+  const key = String(userId);
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+  }
+  return COLORS[hash % COLORS.length];
+}
+
+function queueDiff(roomId, socketId, presence) {
+  if (!pendingDiffs.has(roomId)) {
+    pendingDiffs.set(roomId, { updated: new Map(), removed: new Set(), timer: null });
+  }
+  const diff = pendingDiffs.get(roomId);
+
+  if (presence) {
+    diff.updated.set(socketId, presence);
+    diff.removed.delete(socketId);
+  } else {
+    diff.updated.delete(socketId);
+    diff.removed.add(socketId);
+  }
+
+  if (!diff.timer) {
+    diff.timer = setTimeout(() => flushDiff(roomId), PRESENCE_THROTTLE_MS);
+  }
+}
+
+function flushDiff(roomId) {
+  const diff = pendingDiffs.get(roomId);
+  if (!diff) {
+    return;
+  }
+  pendingDiffs.delete(roomId);
+
+  documentEvents.emit('room-event', {
+    documentId: roomId,
+    event: 'presence-diff',
+    data: {
+      updated: Array.from(diff.updated.values()).map(p => ({ ...p })),
+      removed: Array.from(diff.removed)
+    }
+  });
+}
+
+// Add a socket connection to a room and return its presence
+function join(roomId, { socketId, userId, username }) {
+  if (!rooms.has(roomId)) {
+    rooms.set(roomId, new Map());
+  }
+
+  const presence = {
+    socketId,
+    userId,
+    username,
+    color: colorFor(userId),
+    selection: null,
+    status: 'active',
+    lastSeen: Date.now()
+  };
+  rooms.get(roomId).set(socketId, presence);
+  queueDiff(roomId, socketId, presence);
+  return presence;
+}
+
+// Remove a socket connection from a room. Reports whether the user still has
+// other connections there and whether the room is now empty.
+function leave(roomId, socketId) {
+  const room = rooms.get(roomId);
+  const presence = room && room.get(socketId);
+  if (!presence) {
+    return null;
+  }
+
+  room.delete(socketId);
+  queueDiff(roomId, socketId, null);
+
+  const userStillPresent = Array.from(room.values()).some(p => p.userId === presence.userId);
+  if (room.size === 0) {
+    rooms.delete(roomId);
+  }
+
+  return { presence, userStillPresent, roomEmpty: room.size === 0 };
+}
+
+// Record activity or a selection change for a connection
+function update(roomId, socketId, changes = {}) {
+  const presence = rooms.has(roomId) && rooms.get(roomId).get(socketId);
+  if (!presence) {
+    return null;
+  }
+
+  if (changes.selection !== undefined) {
+    presence.selection = normalizeSelection(changes.selection);
+  }
+  presence.status = changes.status === 'idle' ? 'idle' : 'active';
+  presence.lastSeen = Date.now();
+  queueDiff(roomId, socketId, presence);
+  return presence;
+}
+
+function normalizeSelection(selection) {
+  if (!selection || !Number.isInteger(selection.start) || selection.start < 0) {
+    return null;
+  }
+  const end = Number.isInteger(selection.end) && selection.end >= selection.start ? selection.end : selection.start;
+  return { start: selection.start, end };
+}
+
+// Move other connections' selections through operations applied to the room
+function moveSelections(roomId, operations, exceptSocketId) {
+  const room = rooms.get(roomId);
+  if (!room) {
+    return;
+  }
+
+  room.forEach((presence, socketId) => {
+    if (socketId === exceptSocketId || !presence.selection) {
+      return;
+    }
+    const moved = ot.transformRange(presence.selection, operations);
+    if (moved.start !== presence.selection.start || moved.end !== presence.selection.end) {
+      presence.selection = moved;
+      queueDiff(roomId, socketId, presence);
+    }
+  });
+}
+
+function snapshot(roomId) {
+  const room = rooms.get(roomId);
+  return room ? Array.from(room.values()).map(p => ({ ...p })) : [];
+}
+
+function hasRoom(roomId) {
+  return rooms.has(roomId);
+}
+
+// Rooms a socket connection is present in
+function roomsOf(socketId) {
+  return Array.from(rooms.keys()).filter(roomId => rooms.get(roomId).has(socketId));
+}
+
+// Rooms with at least one connection on this instance
+function roomIds() {
+  return Array.from(rooms.keys());
+}
+
+// Mark connections idle after a period without activity
+const idleTimer = setInterval(() => {
+  const idleSince = Date.now() - IDLE_AFTER_MS;
+  rooms.forEach((room, roomId) => {
+    room.forEach((presence, socketId) => {
+      if (presence.status === 'active' && presence.lastSeen < idleSince) {
+        presence.status = 'idle';
+        queueDiff(roomId, socketId, presence);
+      }
+    });
+  });
+}, Math.min(IDLE_AFTER_MS, 15000));
+idleTimer.unref();
+
+module.exports = {
+  join,
+  leave,
+  update,
+  moveSelections,
+  snapshot,
+  hasRoom,
+  roomsOf,
+  roomIds
+};
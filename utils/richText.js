@@ -0,0 +1,385 @@
+// Structured rich-text content. Documents with format 'rich' store a JSON
+// document in `content`; 'text' documents keep plain text. Schema version 1:
+//
+//   { schemaVersion: 1, blocks: [Block] }
+//
+//   Block (each may carry an optional string `id` for anchors and outlines):
+//     { type: 'paragraph', content: [Inline] }
+//     { type: 'heading', level: 1-6, content: [Inline] }
+//     { type: 'list', ordered?: boolean, items: [{ blocks: [Block] }] }
+//     { type: 'blockquote', blocks: [Block] }
+//     { type: 'code', language?: string, text: string }
+//     { type: 'table', rows: [{ cells: [{ header?: boolean, content: [Inline] }] }] }
+//     { type: 'divider' }
+//
+//   Inline: { text: string, marks?: [Mark] }, where "\n" in text is a line break
+//   Mark: { type: 'bold' | 'italic' | 'underline' | 'strike' | 'code' }
+//         or { type: 'link', href: string }
+//
+// The content is stored as a JSON string so operational transforms, version
+// patches and diffs keep working on text; every write is validated.
+
+const CONTENT_FORMATS = ['text', 'rich'];
+const RICH_TEXT_SCHEMA_VERSION = 1;
+
+// Nested lists and quotes deeper than this are rejected
+const MAX_DEPTH = 8;
+const SIMPLE_MARKS = ['bold', 'italic', 'underline', 'strike', 'code'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Error message for keys other than `allowed`, or null
+function unknownKeys(node, allowed, path) {
+  const extra = Object.keys(node).filter(key => !allowed.includes(key));
+  return extra.length > 0 ? `${path}: unknown field "${extra[0]}"` : null;
+}
+
+function validateMark(mark, path) {
+  if (!isPlainObject(mark)) {
+    return `${path}: must be an object`;
+  }
+  if (mark.type === 'link') {
+    if (typeof mark.href !== 'string' || !/^(https?:|mailto:|\/|#)/i.test(mark.href)) {
+      return `${path}.href: must be an http(s), mailto, relative or # link`;
+    }
+    return unknownKeys(mark, ['type', 'href'], path);
+  }
+  if (!SIMPLE_MARKS.includes(mark.type)) {
+    return `${path}.type: must be one of ${[...SIMPLE_MARKS, 'link'].join(', ')}`;
+  }
+  return unknownKeys(mark, ['type'], path);
+}
+
+function validateInlines(content, path) {
+  if (!Array.isArray(content)) {
+    return `${path}: must be an array`;
+  }
+  for (let i = 0; i < content.length; i++) {
+    const inline = content[i];
+    const inlinePath = `${path}[${i}]`;
+    if (!isPlainObject(inline)) {
+      return `${inlinePath}: must be an object`;
+    }
+    if (typeof inline.text !== 'string') {
+      return `${inlinePath}.text: must be a string`;
+    }
+    if (inline.marks !== undefined) {
+      if (!Array.isArray(inline.marks)) {
+        return `${inlinePath}.marks: must be an array`;
+      }
+      for (let j = 0; j < inline.marks.length; j++) {
+        const error = validateMark(inline.marks[j], `${inlinePath}.marks[${j}]`);
+        if (error) {
+          return error;
+        }
+      }
+    }
+    const error = unknownKeys(inline, ['text', 'marks'], inlinePath);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+function validateBlocks(blocks, path, depth) {
+  if (!Array.isArray(blocks)) {
+    return `${path}: must be an array`;
+  }
+  if (depth > MAX_DEPTH) {
+    return `${path}: nested more than ${MAX_DEPTH} levels deep`;
+  }
+  for (let i = 0; i < blocks.length; i++) {
+    const error = validateBlock(blocks[i], `${path}[${i}]`, depth);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+function validateBlock(block, path, depth) {
+  if (!isPlainObject(block)) {
+    return `${path}: must be an object`;
+  }
+  if (block.id !== undefined && (typeof block.id !== 'string' || !block.id || block.id.length > 64)) {
+    return `${path}.id: must be a string of 1 to 64 characters`;
+  }
+
+  switch (block.type) {
+    case 'paragraph':
+      return validateInlines(block.content, `${path}.content`) ||
+        unknownKeys(block, ['id', 'type', 'content'], path);
+
+    case 'heading':
+      if (!Number.isInteger(block.level) || block.level < 1 || block.level > 6) {
+        return `${path}.level: must be an integer from 1 to 6`;
+      }
+      return validateInlines(block.content, `${path}.content`) ||
+        unknownKeys(block, ['id', 'type', 'level', 'content'], path);
+
+    case 'list': {
+      if (block.ordered !== undefined && typeof block.ordered !== 'boolean') {
+        return `${path}.ordered: must be a boolean`;
+      }
+      if (!Array.isArray(block.items)) {
+        return `${path}.items: must be an array`;
+      }
+      for (let i = 0; i < block.items.length; i++) {
+        const item = block.items[i];
+        const itemPath = `${path}.items[${i}]`;
+        if (!isPlainObject(item)) {
+          return `${itemPath}: must be an object`;
+        }
+        const error = validateBlocks(item.blocks, `${itemPath}.blocks`, depth + 1) ||
+          unknownKeys(item, ['blocks'], itemPath);
+        if (error) {
+          return error;
+        }
+      }
+      return unknownKeys(block, ['id', 'type', 'ordered', 'items'], path);
+    }
+
+    case 'blockquote':
+      return validateBlocks(block.blocks, `${path}.blocks`, depth + 1) ||
+        unknownKeys(block, ['id', 'type', 'blocks'], path);
+
+    case 'code':
+      if (typeof block.text !== 'string') {
+        return `${path}.text: must be a string`;
+      }
+      if (block.language !== undefined && (typeof block.language !== 'string' || block.language.length > 32)) {
+        return `${path}.language: must be a string of at most 32 characters`;
+      }
+      return unknownKeys(block, ['id', 'type', 'language', 'text'], path);
+
+    case 'table': {
+      if (!Array.isArray(block.rows)) {
+        return `${path}.rows: must be an array`;
+      }
+      for (let r = 0; r < block.rows.length; r++) {
+        const row = block.rows[r];
+        const rowPath = `${path}.rows[${r}]`;
+        if (!isPlainObject(row) || !Array.isArray(row.cells)) {
+          return `${rowPath}.cells: must be an array`;
+        }
+        for (let c = 0; c < row.cells.length; c++) {
+          const cell = row.cells[c];
+          const cellPath = `${rowPath}.cells[${c}]`;
+          if (!isPlainObject(cell)) {
+            return `${cellPath}: must be an object`;
+          }
+          if (cell.header !== undefined && typeof cell.header !== 'boolean') {
+            return `${cellPath}.header: must be a boolean`;
+          }
+          const error = validateInlines(cell.content, `${cellPath}.content`) ||
+            unknownKeys(cell, ['header', 'content'], cellPath);
+          if (error) {
+            return error;
+          }
+        }
+        const error = unknownKeys(row, ['cells'], rowPath);
+        if (error) {
+          return error;
+        }
+      }
+      return unknownKeys(block, ['id', 'type', 'rows'], path);
+    }
+
+    case 'divider':
+      return unknownKeys(block, ['id', 'type'], path);
+
+    default:
+      return `${path}.type: unknown block type`;
+  }
+}
+
+// Why a rich-text document is invalid, or null if it is valid
+function validateRichText(doc) {
+  if (!isPlainObject(doc)) {
+    return 'content: must be a JSON object';
+  }
+  if (doc.schemaVersion !== RICH_TEXT_SCHEMA_VERSION) {
+    return `schemaVersion: must be ${RICH_TEXT_SCHEMA_VERSION}`;
+  }
+  return validateBlocks(doc.blocks, 'blocks', 0) || unknownKeys(doc, ['schemaVersion', 'blocks'], 'content');
+}
+
+// Parse stored rich-text content. Returns { doc } or { error }.
+function parseRichText(content) {
+  let doc;
+  try {
+    doc = JSON.parse(content);
+  } catch (error) {
+    return { error: 'content: not valid JSON' };
+  }
+  const error = validateRichText(doc);
+  return error ? { error } : { doc };
+}
+
+// Why stored content (a string) is invalid for the format, or null
+function contentError(format, content) {
+  if (typeof content !== 'string') {
+    return 'content: must be a string';
+  }
+  return format === 'rich' ? parseRichText(content).error || null : null;
+}
+
+// Content sent in a request for a document of `format`. Rich text may be
+// sent as an object or a JSON string. Returns { content } with the string to
+// store, or { error } with a message.
+function normalizeContent(format, content) {
+  if (format !== 'rich') {
+    return typeof content === 'string' ? { content } : { error: 'Content must be a string' };
+  }
+
+  let doc = content;
+  if (typeof content === 'string') {
+    const parsed = parseRichText(content);
+    if (parsed.error) {
+      return { error: `Invalid rich text: ${parsed.error}` };
+    }
+    doc = parsed.doc;
+  }
+  const error = validateRichText(doc);
+  return error ? { error: `Invalid rich text: ${error}` } : { content: JSON.stringify(doc) };
+}
+
+function emptyRichText() {
+  return { schemaVersion: RICH_TEXT_SCHEMA_VERSION, blocks: [] };
+}
+
+// Convert stored plain text to stored rich text, along with a function that
+// maps an offset in the text to the same place in the new content, so comment
+// anchors survive the conversion.
+function convertTextContent(text) {
+  const source = text || '';
+  const prefix = `{"schemaVersion":${RICH_TEXT_SCHEMA_VERSION},"blocks":[`;
+  const parts = [prefix];
+  let length = prefix.length;
+  // [textStart, textEnd, jsonStart, escapedLengths] per paragraph
+  const paragraphs = [];
+
+  const separator = /(?:\r?\n){2,}/g;
+  const ranges = [];
+  let start = 0;
+  let match;
+  while ((match = separator.exec(source)) !== null) {
+    ranges.push([start, match.index]);
+    start = match.index + match[0].length;
+  }
+  ranges.push([start, source.length]);
+
+  for (const [rangeStart, rangeEnd] of ranges) {
+    const paragraph = source.slice(rangeStart, rangeEnd);
+    if (!paragraph.trim()) {
+      continue;
+    }
+    const open = `${paragraphs.length > 0 ? ',' : ''}{"type":"paragraph","content":[{"text":"`;
+    const escaped = Array.from(paragraph, ch => JSON.stringify(ch).slice(1, -1));
+    paragraphs.push({ start: rangeStart, end: rangeEnd, jsonStart: length + open.length, escaped });
+    const body = `${open}${escaped.join('')}"}]}`;
+    parts.push(body);
+    length += body.length;
+  }
+  parts.push(']}');
+
+  const mapOffset = (offset) => {
+    let mapped = prefix.length;
+    for (const paragraph of paragraphs) {
+      if (offset < paragraph.start) {
+        return mapped;
+      }
+      if (offset <= paragraph.end) {
+        let position = paragraph.jsonStart;
+        const chars = Array.from(source.slice(paragraph.start, offset));
+        for (let i = 0; i < chars.length; i++) {
+          position += paragraph.escaped[i].length;
+        }
+        return position;
+      }
+      mapped = paragraph.jsonStart + paragraph.escaped.join('').length;
+    }
+    return mapped;
+  };
+
+  return { content: parts.join(''), mapOffset };
+}
+
+function inlineText(content) {
+  return content.map(inline => inline.text).join('');
+}
+
+function blocksToText(blocks, separator = '\n\n') {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'paragraph':
+      case 'heading':
+        return inlineText(block.content);
+      case 'list':
+        return block.items
+          .map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${blocksToText(item.blocks, '\n').replace(/\n/g, '\n   ')}`)
+          .join('\n');
+      case 'blockquote':
+        return blocksToText(block.blocks).replace(/^/gm, '> ');
+      case 'code':
+        return block.text;
+      case 'table':
+        return block.rows.map(row => row.cells.map(cell => inlineText(cell.content)).join('\t')).join('\n');
+      default:
+        return '';
+    }
+  }).filter(Boolean).join(separator);
+}
+
+// A copy of a rich-text document with every piece of text (inline runs and
+// code blocks) replaced by fn(text)
+function mapText(doc, fn) {
+  const mapInlines = content => content.map(inline => ({ ...inline, text: fn(inline.text) }));
+  const mapBlocks = blocks => blocks.map((block) => {
+    switch (block.type) {
+      case 'paragraph':
+      case 'heading':
+        return { ...block, content: mapInlines(block.content) };
+      case 'list':
+        return { ...block, items: block.items.map(item => ({ ...item, blocks: mapBlocks(item.blocks) })) };
+      case 'blockquote':
+        return { ...block, blocks: mapBlocks(block.blocks) };
+      case 'code':
+        return { ...block, text: fn(block.text) };
+      case 'table':
+        return {
+          ...block,
+          rows: block.rows.map(row => ({ ...row, cells: row.cells.map(cell => ({ ...cell, content: mapInlines(cell.content) })) }))
+        };
+      default:
+        return block;
+    }
+  });
+  return { ...doc, blocks: mapBlocks(doc.blocks) };
+}
+
+// Readable plain text of stored content, for search and text exports
+function toPlainText(format, content) {
+  if (format !== 'rich') {
+    return content || '';
+  }
+  const { doc } = parseRichText(content || '');
+  return doc ? blocksToText(doc.blocks) : '';
+}
+
+module.exports = {
+  CONTENT_FORMATS,
+  RICH_TEXT_SCHEMA_VERSION,
+  validateRichText,
+  parseRichText,
+  contentError,
+  normalizeContent,
+  emptyRichText,
+  convertTextContent,
+  inlineText,
+  mapText,
+  toPlainText
+};
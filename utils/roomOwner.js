@@ -0,0 +1,37 @@
+const suggestions = require('./suggestions');
+const { createThread } = require('./comments');
+
+// Changes REST routes make to a document's live state. They run on the
+// instance that owns the document's room, like socket edits, so they are
+// applied to the same state and reach every editor. server.js installs how
+// requests get to the owner; until then (e.g. in scripts) they run here.
+const requests = {
+  'accept-suggestion': ({ documentId, suggestionId, userId }) =>
+    suggestions.acceptSuggestion(documentId, suggestionId, userId),
+  'reject-suggestion': ({ documentId, suggestionId, userId }) =>
+    suggestions.rejectSuggestion(documentId, suggestionId, userId),
+  'create-comment': ({ documentId, ...thread }) => createThread(documentId, thread)
+};
+
+let dispatch = (documentId, name, args) => runRequest(name, args);
+
+// Run a request in this process and return its result
+async function runRequest(name, args) {
+  return requests[name](args);
+}
+
+function setDispatcher(dispatcher) {
+  dispatch = dispatcher;
+}
+
+// Run a request on the owner of the document's room. Resolves to its result;
+// errors keep their message and status.
+async function requestOnOwner(documentId, name, args) {
+  return dispatch(String(documentId), name, { ...args, documentId: String(documentId) });
+}
+
+module.exports = {
+  runRequest,
+  setDispatcher,
+  requestOnOwner
+};
@@ -0,0 +1,20 @@
+const createMemoryAdapter = require('./roomStateAdapters/memory');
+
+// Room state adapter shared by the socket server: who is in which room, which
+// instance owns a room's live state and saves, and messages between instances.
+// ROOM_STATE_ADAPTER=memory (default, one instance) or postgres (several
+// instances against the same database).
+const ADAPTERS = {
+  memory: createMemoryAdapter,
+  postgres: (...args) => require('./roomStateAdapters/postgres')(...args)
+};
+
+function createRoomStateAdapter(name = process.env.ROOM_STATE_ADAPTER || 'memory') {
+  const create = ADAPTERS[name];
+  if (!create) {
+    throw new Error(`Unknown room state adapter: ${name}`);
+  }
+  return create();
+}
+
+module.exports = { createRoomStateAdapter };
@@ -0,0 +1,87 @@
+const { EventEmitter } = require('events');
+
+// Room state adapter for a single server instance. Everything lives in this
+// process: this instance owns every room and messages are delivered to its
+// own handlers synchronously.
+function createMemoryAdapter() {
+  const members = new Map(); // roomId -> Map(socketId -> member)
+  const owned = new Set();
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+    instanceId: `memory-${process.pid}`,
+
+    async start() {},
+
+    async stop() {
+      owned.clear();
+      bus.removeAllListeners();
+    },
+
+    async addMember(roomId, member) {
+      if (!members.has(roomId)) {
+        members.set(roomId, new Map());
+      }
+      members.get(roomId).set(member.socketId, { ...member });
+    },
+
+    async removeMember(roomId, socketId) {
+      const room = members.get(roomId);
+      if (!room) {
+        return;
+      }
+      room.delete(socketId);
+      if (room.size === 0) {
+        members.delete(roomId);
+      }
+    },
+
+    async listMembers(roomId) {
+      const room = members.get(roomId);
+      return room ? Array.from(room.values()).map(member => ({ ...member })) : [];
+    },
+
+    async acquireOwnership(roomId) {
+      owned.add(roomId);
+      return true;
+    },
+
+    async releaseOwnership(roomId) {
+      owned.delete(roomId);
+    },
+
+    isOwner(roomId) {
+      return owned.has(roomId);
+    },
+
+    // Pending saves only matter to another instance taking over a room; a
+    // single process that stops loses its unsaved edits with its memory
+    async markPendingSave() {},
+
+    async clearPendingSave() {},
+
+    async takePendingSave() {
+      return null;
+    },
+
+    async listPendingSaves() {
+      return [];
+    },
+
+    async publish(message) {
+      bus.emit('message', message);
+    },
+
+    onMessage(handler) {
+      bus.on('message', handler);
+    },
+
+    onOwnershipLost() {
+      // Nothing else can take a room from this process
+    }
+  };
+}
+
+module.exports = createMemoryAdapter;
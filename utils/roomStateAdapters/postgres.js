@@ -0,0 +1,217 @@
+const os = require('os');
+const crypto = require('crypto');
+const { Client } = require('pg');
+const { Op } = require('sequelize');
+const sequelize = require('../../config/database');
+const { RoomLease, RoomMember, RoomMessage } = require('../../models/RoomState');
+
+// Room state adapter for several server instances sharing one Postgres
+// database. Rooms are owned through leases in room_leases (the owner keeps the
+// live document state and does the saves), room membership is shared in
+// room_members and messages travel over LISTEN/NOTIFY.
+
+const CHANNEL = process.env.ROOM_STATE_CHANNEL || 'doc_collab_rooms';
+// NOTIFY payloads are limited to 8000 bytes; larger messages go through room_messages
+const MAX_NOTIFY_BYTES = 7500;
+
+function createPostgresAdapter() {
+  const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+  const leaseTtlMs = Number(process.env.ROOM_LEASE_TTL_MS || 30000);
+  const owned = new Set();
+  const handlers = [];
+  const lostHandlers = [];
+  let listener = null;
+  let heartbeat = null;
+  // Notifications are handled one at a time, in the order they were sent
+  let delivery = Promise.resolve();
+
+  const expiry = () => new Date(Date.now() + leaseTtlMs);
+
+  // Dedicated connection for LISTEN, outside the Sequelize pool
+  function createListener() {
+    const { host, port, database, username, password } = sequelize.config;
+    const dialectOptions = sequelize.options.dialectOptions || {};
+    return new Client({ host, port, database, user: username, password, ssl: dialectOptions.ssl });
+  }
+
+  async function deliver(notification) {
+    try {
+      let message = JSON.parse(notification.payload);
+      if (message.ref) {
+        const stored = await RoomMessage.findByPk(message.ref);
+        if (!stored) {
+          return;
+        }
+        message = stored.payload;
+      }
+      for (const handler of handlers) {
+        await handler(message);
+      }
+    } catch (error) {
+      console.error('❌ Room state message error:', error);
+    }
+  }
+
+  // Renew this instance's leases, notice rooms taken over by another
+  // instance and clean up after instances that stopped heartbeating
+  async function renew() {
+    const until = expiry();
+    await RoomLease.upsert({ resource: `instance:${instanceId}`, instanceId, expiresAt: until });
+    await RoomLease.update({ expiresAt: until }, { where: { instanceId } });
+
+    const held = await RoomLease.findAll({ where: { instanceId }, attributes: ['resource'] });
+    const heldRooms = new Set(held.map(lease => lease.resource));
+    for (const roomId of Array.from(owned)) {
+      if (!heldRooms.has(`document:${roomId}`)) {
+        owned.delete(roomId);
+        lostHandlers.forEach(handler => handler(roomId));
+      }
+    }
+
+    const live = await RoomLease.findAll({
+      where: { resource: { [Op.like]: 'instance:%' }, expiresAt: { [Op.gt]: new Date() } },
+      attributes: ['instanceId']
+    });
+    await RoomMember.destroy({ where: { instanceId: { [Op.notIn]: live.map(lease => lease.instanceId) } } });
+    // Leases with unsaved edits stay until an instance recovers them
+    await RoomLease.destroy({
+      where: { expiresAt: { [Op.lt]: new Date(Date.now() - leaseTtlMs) }, pendingSave: null }
+    });
+    await RoomMessage.destroy({ where: { createdAt: { [Op.lt]: new Date(Date.now() - 60000) } } });
+  }
+
+  return {
+    name: 'postgres',
+    instanceId,
+
+    async start() {
+      listener = createListener();
+      listener.on('notification', (notification) => {
+        delivery = delivery.then(() => deliver(notification));
+      });
+      listener.on('error', error => console.error('❌ Room state listener error:', error));
+      await listener.connect();
+      await listener.query(`LISTEN ${CHANNEL}`);
+
+      await renew();
+      heartbeat = setInterval(() => {
+        renew().catch(error => console.error('❌ Room lease renewal error:', error));
+      }, Math.max(Math.floor(leaseTtlMs / 3), 1000));
+      heartbeat.unref();
+      console.log(`✅ Room state adapter (postgres) started as ${instanceId}`);
+    },
+
+    async stop() {
+      clearInterval(heartbeat);
+      await RoomMember.destroy({ where: { instanceId } });
+      // Leases with unsaved edits are left to expire, so another instance saves them
+      await RoomLease.destroy({ where: { instanceId, pendingSave: null } });
+      owned.clear();
+      if (listener) {
+        await listener.end();
+        listener = null;
+      }
+    },
+
+    async addMember(roomId, member) {
+      await RoomMember.upsert(
+        { roomId, socketId: member.socketId, instanceId, member },
+        { conflictFields: ['roomId', 'socketId'] }
+      );
+    },
+
+    async removeMember(roomId, socketId) {
+      await RoomMember.destroy({ where: { roomId, socketId } });
+    },
+
+    async listMembers(roomId) {
+      const rows = await RoomMember.findAll({ where: { roomId }, order: [['id', 'ASC']] });
+      return rows.map(row => row.member);
+    },
+
+    // Take the room's lease if it is free, expired or already ours
+    async acquireOwnership(roomId) {
+      const [rows] = await sequelize.query(
+        `INSERT INTO room_leases (resource, "instanceId", "expiresAt")
+         VALUES (:resource, :instanceId, :expiresAt)
+         ON CONFLICT (resource) DO UPDATE
+           SET "instanceId" = EXCLUDED."instanceId", "expiresAt" = EXCLUDED."expiresAt"
+           WHERE room_leases."instanceId" = EXCLUDED."instanceId" OR room_leases."expiresAt" < NOW()
+         RETURNING "instanceId"`,
+        { replacements: { resource: `document:${roomId}`, instanceId, expiresAt: expiry() } }
+      );
+
+      if (rows.length > 0) {
+        owned.add(roomId);
+        return true;
+      }
+      owned.delete(roomId);
+      return false;
+    },
+
+    async releaseOwnership(roomId) {
+      owned.delete(roomId);
+      await RoomLease.destroy({ where: { resource: `document:${roomId}`, instanceId } });
+    },
+
+    isOwner(roomId) {
+      return owned.has(roomId);
+    },
+
+    async markPendingSave(roomId, info) {
+      await RoomLease.update({ pendingSave: info }, { where: { resource: `document:${roomId}`, instanceId } });
+    },
+
+    async clearPendingSave(roomId) {
+      await RoomLease.update({ pendingSave: null }, { where: { resource: `document:${roomId}`, instanceId } });
+    },
+
+    // Take the unsaved edits left on a room's lease, which this instance has
+    // just acquired; they are removed so that only one instance saves them
+    async takePendingSave(roomId) {
+      const [rows] = await sequelize.query(
+        `UPDATE room_leases AS lease SET "pendingSave" = NULL
+         FROM (SELECT resource, "pendingSave" FROM room_leases
+               WHERE resource = :resource AND "instanceId" = :instanceId FOR UPDATE) AS previous
+         WHERE lease.resource = previous.resource AND previous."pendingSave" IS NOT NULL
+         RETURNING previous."pendingSave"`,
+        { replacements: { resource: `document:${roomId}`, instanceId } }
+      );
+      return rows.length > 0 ? rows[0].pendingSave : null;
+    },
+
+    // Rooms whose owner stopped renewing its lease with edits still unsaved
+    async listPendingSaves() {
+      const leases = await RoomLease.findAll({
+        where: {
+          resource: { [Op.like]: 'document:%' },
+          expiresAt: { [Op.lt]: new Date() },
+          pendingSave: { [Op.ne]: null }
+        }
+      });
+      return leases.map(lease => ({ roomId: lease.resource.replace(/^document:/, ''), ...lease.pendingSave }));
+    },
+
+    async publish(message) {
+      let payload = JSON.stringify(message);
+      if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+        const stored = await RoomMessage.create({ payload: message });
+        payload = JSON.stringify({ ref: stored.id });
+      }
+      await sequelize.query('SELECT pg_notify(:channel, :payload)', {
+        replacements: { channel: CHANNEL, payload }
+      });
+    },
+
+    onMessage(handler) {
+      handlers.push(handler);
+    },
+
+    // Called when a lease renewal finds another instance took over a room
+    onOwnershipLost(handler) {
+      lostHandlers.push(handler);
+    }
+  };
+}
+
+module.exports = createPostgresAdapter;
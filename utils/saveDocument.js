@@ -0,0 +1,92 @@
+const sequelize = require('../config/database');
+const { Document } = require('../models/Document');
+const versionStore = require('./versionStore');
+const { saveAnchors } = require('./documentState');
+const lobby = require('./lobby');
+const { contentError } = require('./richText');
+
+// Helper function to save document to database with versioning (callers check edit access).
+// options.beforeCommit(transaction) makes other writes that belong with the
+// save, such as resolving a suggestion; it also runs when the content is unchanged.
+async function saveDocumentToDB(documentId, content, userId, isExplicitSave = false, options = {}) {
+  // Use transaction for atomicity
+  const transaction = await sequelize.transaction();
+  
+  try {
+    // Lock the row so concurrent saves and reverts write one after another
+    const document = await Document.findByPk(documentId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    // Never store content that does not match the document's format
+    const invalid = contentError(document.format, content);
+    if (invalid) {
+      const error = new Error(`Invalid ${document.format} content: ${invalid}`);
+      error.status = 400;
+      throw error;
+    }
+
+    // Check if content actually changed
+    if (document.content === content) {
+      if (options.beforeCommit) {
+        await options.beforeCommit(transaction);
+        await transaction.commit();
+      } else {
+        await transaction.rollback();
+      }
+      if (isExplicitSave) {
+        console.log(`Document ${documentId} content unchanged, skipping save`);
+      }
+      return;
+    }
+
+    // Get last version to avoid duplicates
+    const lastVersion = await versionStore.getLatestVersion(document.id, { transaction });
+
+    // Only create version if content changed from last version
+    // Save the OLD content as a version before updating
+    if (!lastVersion || lastVersion.content !== document.content) {
+      await versionStore.createVersion({
+        documentId: document.id,
+        content: document.content, // Save old content as version
+        format: document.format,
+        updatedById: userId,
+        kind: isExplicitSave ? 'save' : 'autosave'
+      }, { transaction });
+    }
+
+    // Update document with new content
+    document.content = content;
+    document.currentVersion += 1;
+    await document.save({ transaction });
+    if (options.beforeCommit) {
+      await options.beforeCommit(transaction);
+    }
+
+    // Commit transaction
+    await transaction.commit();
+
+    // Comment anchors have moved along with the saved content
+    await saveAnchors(documentId).catch(error => console.error('Save anchors error:', error));
+    await lobby.documentUpdated(documentId);
+
+    const saveType = isExplicitSave ? 'explicit save' : 'auto-save';
+    console.log(`✅ Document ${documentId} ${saveType} by user ${userId}, version ${document.currentVersion}`);
+    
+    return { document, version: document.currentVersion };
+  } catch (error) {
+    // Rollback transaction on error, unless it already ended
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    console.error(`❌ Error saving document ${documentId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = saveDocumentToDB;
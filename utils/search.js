@@ -0,0 +1,161 @@
+// Full-text search over documents and their version history.
+// documents."searchVector" is maintained by a trigger (migration
+// 20240101000016); document_versions."searchVector" by utils/versionStore.
+const sequelize = require('../config/database');
+const versionStore = require('./versionStore');
+const { escapeHtml } = require('./html');
+const { toPlainText } = require('./richText');
+
+// ts_headline wraps matches in these; they are swapped for <mark> tags after
+// the rest of the snippet is HTML-escaped
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+const SNIPPET_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, HighlightAll=true`;
+
+function highlight(text) {
+  return escapeHtml(text || '')
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
+
+// Readable text of d.content: rich-text documents contribute the text of
+// their inline runs and code blocks (see utils/richText)
+const PLAIN_CONTENT = `CASE WHEN d.format = 'rich'
+  THEN array_to_string(ARRAY(
+    SELECT jsonb_array_elements_text(jsonb_path_query_array(d.content::jsonb, 'strict $.**.text'))
+  ), ' ')
+  ELSE coalesce(d.content, '')
+END`;
+
+// SQL conditions and replacements shared by both searches. `alias` is the
+// table whose author and date columns are filtered.
+function buildFilters({ tags, authorId, from, to }, alias, dateColumn) {
+  const conditions = [];
+  const replacements = {};
+
+  if (tags && tags.length > 0) {
+    conditions.push('d.tags @> ARRAY[:tags]::varchar(50)[]');
+    replacements.tags = tags;
+  }
+  if (from) {
+    conditions.push(`${alias}."${dateColumn}" >= :from`);
+    replacements.from = from;
+  }
+  if (to) {
+    conditions.push(`${alias}."${dateColumn}" <= :to`);
+    replacements.to = to;
+  }
+  if (authorId) {
+    conditions.push(alias === 'v'
+      ? 'v."updatedById" = :authorId'
+      : 'EXISTS (SELECT 1 FROM document_versions av WHERE av."documentId" = d.id AND av."updatedById" = :authorId)');
+    replacements.authorId = authorId;
+  }
+
+  return { conditions, replacements };
+}
+
+// Ranked documents matching `query` among documentIds, with highlighted
+// title and snippet. Returns { total, results }.
+async function searchDocuments(query, documentIds, filters, { limit, offset }) {
+  if (documentIds.length === 0) {
+    return { total: 0, results: [] };
+  }
+
+  const { conditions, replacements } = buildFilters(filters, 'd', 'updatedAt');
+  // Rank and page first so snippets are only built for the returned rows
+  const [rows] = await sequelize.query(`
+    WITH matches AS (
+      SELECT d.id, ts_rank_cd(d."searchVector", q.query) AS rank, d."updatedAt",
+        COUNT(*) OVER () AS total
+      FROM documents d, websearch_to_tsquery('english', :query) AS q(query)
+      WHERE d.id IN (:documentIds) AND d."searchVector" @@ q.query
+        ${conditions.map(condition => `AND ${condition}`).join(' ')}
+      ORDER BY rank DESC, d."updatedAt" DESC
+      LIMIT :limit OFFSET :offset
+    )
+    SELECT d.id, d.title, d.tags, d."workspaceId", d."folderId", d."currentVersion", d."updatedAt",
+      m.rank, m.total,
+      ts_headline('english', d.title, q.query, :titleOptions) AS "titleHighlight",
+      ts_headline('english', ${PLAIN_CONTENT}, q.query, :snippetOptions) AS snippet
+    FROM matches m
+    JOIN documents d ON d.id = m.id,
+      websearch_to_tsquery('english', :query) AS q(query)
+    ORDER BY m.rank DESC, m."updatedAt" DESC
+  `, {
+    replacements: {
+      ...replacements,
+      query,
+      documentIds,
+      limit,
+      offset,
+      titleOptions: TITLE_OPTIONS,
+      snippetOptions: SNIPPET_OPTIONS
+    }
+  });
+
+  return {
+    total: rows.length > 0 ? Number(rows[0].total) : 0,
+    results: rows.map(({ total, rank, titleHighlight, snippet, ...document }) => ({
+      ...document,
+      rank: Number(rank),
+      titleHighlight: highlight(titleHighlight),
+      snippet: highlight(snippet)
+    }))
+  };
+}
+
+// Ranked versions of documentIds whose content matches `query`. Version rows
+// only store patches, so snippets come from the rebuilt content of the
+// returned versions. Returns { total, results }.
+async function searchVersions(query, documentIds, filters, { limit, offset }) {
+  if (documentIds.length === 0) {
+    return { total: 0, results: [] };
+  }
+
+  const { conditions, replacements } = buildFilters(filters, 'v', 'createdAt');
+  const [rows] = await sequelize.query(`
+    SELECT v.id, v."documentId", d.title AS "documentTitle", v.kind, v.name, v.format, v."createdAt",
+      u.id AS "updatedById", u.username AS "updatedByUsername",
+      ts_rank_cd(v."searchVector", q.query) AS rank, COUNT(*) OVER () AS total
+    FROM document_versions v
+    JOIN documents d ON d.id = v."documentId"
+    LEFT JOIN users u ON u.id = v."updatedById",
+      websearch_to_tsquery('english', :query) AS q(query)
+    WHERE v."documentId" IN (:documentIds) AND v."searchVector" @@ q.query
+      ${conditions.map(condition => `AND ${condition}`).join(' ')}
+    ORDER BY rank DESC, v."createdAt" DESC
+    LIMIT :limit OFFSET :offset
+  `, { replacements: { ...replacements, query, documentIds, limit, offset } });
+
+  const contents = new Map();
+  for (const documentId of new Set(rows.map(row => row.documentId))) {
+    const ids = rows.filter(row => row.documentId === documentId).map(row => row.id);
+    (await versionStore.loadVersionContents(documentId, ids)).forEach((content, id) => contents.set(id, content));
+  }
+
+  const results = [];
+  for (const { total, rank, updatedById, updatedByUsername, ...version } of rows) {
+    const [[{ snippet }]] = await sequelize.query(
+      `SELECT ts_headline('english', :content, websearch_to_tsquery('english', :query), :options) AS snippet`,
+      { replacements: { content: toPlainText(version.format, contents.get(version.id)), query, options: SNIPPET_OPTIONS } }
+    );
+    results.push({
+      ...version,
+      updatedBy: updatedById ? { id: updatedById, username: updatedByUsername } : null,
+      rank: Number(rank),
+      snippet: highlight(snippet)
+    });
+  }
+
+  return {
+    total: rows.length > 0 ? Number(rows[0].total) : 0,
+    results
+  };
+}
+
+module.exports = {
+  searchDocuments,
+  searchVersions
+};
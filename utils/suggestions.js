@@ -0,0 +1,229 @@
+const sequelize = require('../config/database');
+const Suggestion = require('../models/Suggestion');
+const User = require('../models/User');
+const ot = require('./ot');
+const {
+  documentStates,
+  anchorKey,
+  getDocumentState,
+  loadDocumentState,
+  assertTextOperations,
+  rebaseOperations,
+  rebaseRange,
+  applyClientOperations,
+  saveAnchors
+} = require('./documentState');
+const saveDocumentToDB = require('./saveDocument');
+const documentEvents = require('./documentEvents');
+
+// Suggesting mode: instead of changing the content, each operation is
+// stored as a pending suggestion that an editor can accept or reject.
+// Plain-text documents only, like other operations.
+
+const userAttributes = ['id', 'username', 'email'];
+
+function suggestionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function loadSuggestion(id) {
+  const suggestion = await Suggestion.findByPk(id, {
+    include: [
+      { model: User, as: 'author', attributes: userAttributes },
+      { model: User, as: 'resolvedBy', attributes: userAttributes }
+    ]
+  });
+
+  // Pending suggestions report their live position while the document is open
+  const state = suggestion && documentStates.get(String(suggestion.documentId));
+  const anchor = state && state.anchors.get(anchorKey('suggestion', suggestion.id));
+  if (anchor) {
+    suggestion.setDataValue('anchorStart', anchor.start);
+    suggestion.setDataValue('anchorEnd', anchor.end);
+  }
+  return suggestion;
+}
+
+// A change is a list of operations each applied to the result of the
+// previous one, but suggestions are stored and accepted one at a time. Map
+// every operation back onto `content` by transforming it over the undo of
+// the operations before it.
+function separateOperations(content, operations) {
+  const separated = [];
+  let undo = [];
+  let current = content;
+  for (const op of operations) {
+    const [onContent] = ot.transform([op], undo);
+    // A delete split around restored text is again a list
+    separated.push(...(onContent.length > 1 ? separateOperations(content, onContent) : onContent));
+
+    const inverse = op.type === 'insert'
+      ? { type: 'delete', position: op.position, length: op.text.length }
+      : { type: 'insert', position: op.position, text: current.slice(op.position, op.position + op.length) };
+    undo = [inverse, ...undo];
+    current = ot.applyOperations(current, [op]);
+  }
+  return ot.normalizeOperations(separated);
+}
+
+// Store operations made against baseRevision as pending suggestions, one per
+// operation. The operations apply in order, like a document change.
+async function createSuggestions(documentId, baseRevision, operations, authorId) {
+  const state = await getDocumentState(documentId);
+  assertTextOperations(state);
+
+  let separated;
+  try {
+    separated = separateOperations(state.content, rebaseOperations(state, baseRevision, operations));
+  } catch (error) {
+    if (error.code) {
+      throw error;
+    }
+    throw suggestionError('Suggestion is outside the document', 400);
+  }
+
+  const ranges = separated.map((op) => {
+    const isInsert = op.type === 'insert';
+    const end = isInsert ? op.position : op.position + op.length;
+    if (end > state.content.length) {
+      throw suggestionError('Suggestion is outside the document', 400);
+    }
+    return { op, start: op.position, end };
+  });
+
+  const revision = state.revision;
+  const suggestions = await sequelize.transaction(async (transaction) => {
+    const rows = [];
+    for (const { op, start, end } of ranges) {
+      rows.push(await Suggestion.create({
+        documentId,
+        type: op.type,
+        anchorStart: start,
+        anchorEnd: end,
+        text: op.type === 'insert' ? op.text : state.content.slice(start, end),
+        authorId
+      }, { transaction }));
+    }
+    return rows;
+  });
+
+  // Track the anchors from the revision they were taken at, since edits may
+  // have come in while the rows were written
+  const created = [];
+  for (const [index, suggestion] of suggestions.entries()) {
+    const { start, end } = ranges[index];
+    const range = rebaseRange(state, revision, { start, end }) || { start, end };
+    const moved = range.start !== start || range.end !== end;
+    state.anchors.set(anchorKey('suggestion', suggestion.id), { start: range.start, end: range.end, dirty: moved });
+    created.push(await loadSuggestion(suggestion.id));
+  }
+
+  if (created.length > 0) {
+    documentEvents.emit('room-event', { documentId, event: 'suggestion-added', data: { suggestions: created } });
+  }
+  return created;
+}
+
+async function findPending(documentId, suggestionId) {
+  const suggestion = await Suggestion.findOne({ where: { id: suggestionId, documentId } });
+  if (!suggestion) {
+    throw suggestionError('Suggestion not found', 404);
+  }
+  if (suggestion.status !== 'pending') {
+    throw suggestionError(`Suggestion is already ${suggestion.status}`, 400);
+  }
+  return suggestion;
+}
+
+// Apply a suggestion to the document and save the result as a version
+async function acceptSuggestion(documentId, suggestionId, userId) {
+  const suggestion = await findPending(documentId, suggestionId);
+  const key = anchorKey('suggestion', suggestion.id);
+
+  // Work on the live room state when the document is open, so editors
+  // receive the change as an ordinary operation. Otherwise work on a copy
+  // loaded from the database, whose moved anchors are saved with the content.
+  const open = documentStates.has(String(documentId));
+  const state = open ? await getDocumentState(documentId) : await loadDocumentState(documentId);
+  // Suggestions made before a conversion to rich text can only be rejected
+  assertTextOperations(state);
+
+  const anchor = state.anchors.get(key) || { start: suggestion.anchorStart, end: suggestion.anchorEnd };
+  const operations = suggestion.type === 'insert'
+    ? [{ type: 'insert', position: anchor.start, text: suggestion.text }]
+    : [{ type: 'delete', position: anchor.start, length: anchor.end - anchor.start }];
+  const changes = ot.normalizeOperations(operations);
+
+  // The live state only changes once the suggestion is saved as accepted, so
+  // a failed save leaves editors and the suggestion as they were
+  const baseRevision = state.revision;
+  let content;
+  if (open) {
+    content = ot.applyOperations(state.content, changes);
+  } else {
+    state.anchors.delete(key);
+    applyClientOperations(state, baseRevision, changes, userId);
+    content = state.content;
+  }
+
+  suggestion.status = 'accepted';
+  suggestion.resolvedById = userId;
+  suggestion.resolvedAt = new Date();
+  suggestion.anchorStart = anchor.start;
+  suggestion.anchorEnd = anchor.end;
+
+  await saveDocumentToDB(documentId, content, userId, true, {
+    beforeCommit: async (transaction) => {
+      await suggestion.save({ transaction });
+      if (!open) {
+        await saveAnchors(documentId, { state, transaction });
+      }
+    }
+  });
+
+  if (open) {
+    // Rebased over edits made while saving
+    state.anchors.delete(key);
+    const result = applyClientOperations(state, baseRevision, changes, userId);
+    documentEvents.emit('room-event', {
+      documentId,
+      event: 'document-update',
+      data: { revision: result.revision, operations: result.operations, userId, timestamp: Date.now() }
+    });
+    if (state.content !== content) {
+      await saveDocumentToDB(documentId, state.content, userId, false);
+    }
+    await saveAnchors(documentId, { state });
+  }
+
+  const accepted = await loadSuggestion(suggestion.id);
+  documentEvents.emit('room-event', { documentId, event: 'suggestion-accepted', data: { suggestion: accepted } });
+  return accepted;
+}
+
+async function rejectSuggestion(documentId, suggestionId, userId) {
+  const suggestion = await findPending(documentId, suggestionId);
+
+  const state = documentStates.get(String(documentId));
+  if (state) {
+    state.anchors.delete(anchorKey('suggestion', suggestion.id));
+  }
+
+  suggestion.status = 'rejected';
+  suggestion.resolvedById = userId;
+  suggestion.resolvedAt = new Date();
+  await suggestion.save();
+
+  const rejected = await loadSuggestion(suggestion.id);
+  documentEvents.emit('room-event', { documentId, event: 'suggestion-rejected', data: { suggestion: rejected } });
+  return rejected;
+}
+
+module.exports = {
+  loadSuggestion,
+  createSuggestions,
+  acceptSuggestion,
+  rejectSuggestion
+};
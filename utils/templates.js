@@ -0,0 +1,239 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Template, TemplateVersion } = require('../models/Template');
+const { Workspace, WorkspaceMember } = require('../models/Workspace');
+const User = require('../models/User');
+const { can, highestRole, getContainerRole } = require('./permissions');
+const { createVersionStore } = require('./versionStore');
+const { parseRichText, mapText } = require('./richText');
+const { parseMetadata } = require('./documentMetadata');
+
+// Template versions are stored like document versions
+const templateVersions = createVersionStore(TemplateVersion, 'templateId');
+
+// {{name}}, optionally with spaces inside the braces
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+const BUILT_IN_PLACEHOLDERS = ['date', 'time', 'datetime', 'author', 'title'];
+const MAX_VARIABLES = 50;
+const MAX_VARIABLE_LENGTH = 1000;
+
+// A user's role on a template: owner for the user who created it, otherwise
+// their workspace role for shared templates. Personal templates are private.
+async function getTemplateRole(template, userId, options = {}) {
+  let role = template.ownerId === userId ? 'owner' : null;
+  if (template.workspaceId) {
+    role = highestRole(role, await getContainerRole(template.workspaceId, null, userId, options));
+  }
+  return role;
+}
+
+// Validate the template fields present in a request body: name, title
+// pattern (or null), description and tags. Returns { values } or { error }.
+function parseTemplateFields(body) {
+  const values = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 255) {
+      return { error: 'Name must be a non-empty string of at most 255 characters' };
+    }
+    values.name = body.name.trim();
+  }
+  if (body.title !== undefined) {
+    if (body.title !== null && (typeof body.title !== 'string' || body.title.length > 255)) {
+      return { error: 'Title must be a string of at most 255 characters or null' };
+    }
+    values.title = body.title ? body.title.trim() || null : null;
+  }
+
+  const { values: metadata, error } = parseMetadata({ description: body.description, tags: body.tags });
+  if (error) {
+    return { error };
+  }
+  return { values: { ...values, ...metadata } };
+}
+
+// Workspace for a template from a request's workspaceId: null keeps it
+// personal; sharing it in a workspace needs editor or above there.
+// Returns { workspaceId } or { error, status }.
+async function resolveTemplateWorkspace(workspaceId, userId) {
+  if (workspaceId === undefined || workspaceId === null) {
+    return { workspaceId: null };
+  }
+  const workspace = await Workspace.findByPk(Number(workspaceId) || 0);
+  if (!workspace) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+  if (!can(await getContainerRole(workspace.id, null, userId), 'edit')) {
+    return { error: 'You cannot add templates to this workspace', status: 403 };
+  }
+  return { workspaceId: workspace.id };
+}
+
+// Where clause for the templates a user can see: their own plus those shared
+// in workspaces they belong to
+async function visibleTemplatesWhere(userId) {
+  const memberships = await WorkspaceMember.findAll({ where: { userId }, attributes: ['workspaceId'] });
+  return {
+    [Op.or]: [
+      { ownerId: userId },
+      { workspaceId: memberships.map(m => m.workspaceId) }
+    ]
+  };
+}
+
+// Apply fn to every piece of text in stored content of the given format
+function mapContentText(format, content, fn) {
+  if (format !== 'rich') {
+    return fn(content || '');
+  }
+  const { doc } = parseRichText(content);
+  return doc ? JSON.stringify(mapText(doc, fn)) : content;
+}
+
+// Names of the placeholders used in a template's title and content, sorted
+function templatePlaceholders(template) {
+  const names = new Set();
+  const collect = (text) => {
+    for (const match of text.matchAll(PLACEHOLDER)) {
+      names.add(match[1]);
+    }
+    return text;
+  };
+  collect(template.title || '');
+  mapContentText(template.format, template.content, collect);
+  return Array.from(names).sort();
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER, (placeholder, name) =>
+    (Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder));
+}
+
+// Custom placeholder values from a request: an object of strings.
+// Returns { variables } or { error }.
+function parseVariables(variables) {
+  if (variables === undefined || variables === null) {
+    return { variables: {} };
+  }
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    return { error: 'variables must be an object of strings' };
+  }
+  const entries = Object.entries(variables);
+  if (entries.length > MAX_VARIABLES) {
+    return { error: `At most ${MAX_VARIABLES} variables` };
+  }
+  for (const [name, value] of entries) {
+    if (!/^[A-Za-z_][\w.-]*$/.test(name)) {
+      return { error: `Invalid variable name "${name}"` };
+    }
+    if (typeof value !== 'string' || value.length > MAX_VARIABLE_LENGTH) {
+      return { error: `Variable "${name}" must be a string of at most ${MAX_VARIABLE_LENGTH} characters` };
+    }
+  }
+  return { variables };
+}
+
+// Built-in placeholder values at `now` in an IANA time zone (UTC by default)
+function builtInValues(now, timeZone, username) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const time = `${parts.hour}:${parts.minute}`;
+  return { date, time, datetime: `${date} ${time}`, author: username };
+}
+
+// Title, content and metadata for a new document from template templateId.
+// `options` are the create request's { title, variables, timezone }: the
+// title defaults to the template's title pattern, and {{date}}, {{time}},
+// {{datetime}}, {{author}}, {{title}} plus any custom variables are filled
+// in. Unknown placeholders are left as they are. Throws errors with a status
+// when the template is missing or not readable, or the options are invalid.
+async function documentFromTemplate(templateId, userId, options = {}) {
+  const template = Number.isInteger(templateId) ? await Template.findByPk(templateId) : null;
+  if (!template || !(await getTemplateRole(template, userId))) {
+    const error = new Error('Template not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const { variables, error: variablesInvalid } = parseVariables(options.variables);
+  if (variablesInvalid) {
+    const error = new Error(variablesInvalid);
+    error.status = 400;
+    throw error;
+  }
+
+  const user = await User.findByPk(userId, { attributes: ['username'] });
+  let builtIns;
+  try {
+    builtIns = builtInValues(new Date(), options.timezone || 'UTC', user ? user.username : '');
+  } catch (rangeError) {
+    const error = new Error('timezone must be an IANA time zone such as Europe/Berlin');
+    error.status = 400;
+    throw error;
+  }
+
+  // Custom variables may override the built-in date and time, e.g. for a
+  // meeting that has not happened yet
+  const values = { ...builtIns, ...variables };
+  const title = typeof options.title === 'string' && options.title.trim()
+    ? options.title.trim()
+    : fillPlaceholders(template.title || template.name, { ...values, title: template.name }).trim().slice(0, 255) || template.name;
+  values.title = title;
+
+  return {
+    fields: {
+      title,
+      description: template.description,
+      tags: template.tags,
+      format: template.format,
+      templateId: template.id
+    },
+    content: mapContentText(template.format, template.content, text => fillPlaceholders(text, values))
+  };
+}
+
+// Create a template owned by userId, with `content` recorded as its first
+// version (callers check access to `fields.workspaceId` and that content
+// matches `fields.format`). Returns the new template.
+async function createTemplate({ fields, content = '', userId }) {
+  return sequelize.transaction(async (transaction) => {
+    const template = await Template.create({
+      ...fields,
+      content,
+      ownerId: userId,
+      currentVersion: 0
+    }, { transaction });
+
+    await templateVersions.createVersion({
+      templateId: template.id,
+      content,
+      format: template.format,
+      updatedById: userId,
+      kind: 'save'
+    }, { transaction });
+
+    return template;
+  });
+}
+
+module.exports = {
+  BUILT_IN_PLACEHOLDERS,
+  templateVersions,
+  getTemplateRole,
+  parseTemplateFields,
+  resolveTemplateWorkspace,
+  visibleTemplatesWhere,
+  templatePlaceholders,
+  documentFromTemplate,
+  createTemplate
+};
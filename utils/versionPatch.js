@@ -0,0 +1,76 @@
+// Compact patches between consecutive document versions.
+// A patch is [position, deleteCount, insertText], turning the previous
+// version's content into this version's content.
+
+// Store a full snapshot (keyframe) at least this often
+const KEYFRAME_INTERVAL = 50;
+
+function createPatch(oldContent, newContent) {
+  const oldText = oldContent || '';
+  const newText = newContent || '';
+
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return [prefix, oldText.length - prefix - suffix, newText.slice(prefix, newText.length - suffix)];
+}
+
+function applyPatch(content, patch) {
+  const [position, deleteCount, text] = patch;
+  return content.slice(0, position) + text + content.slice(position + deleteCount);
+}
+
+// Decide how to store a version given the previous version's content and
+// how many patches have been stored since the last snapshot.
+// Returns { isSnapshot, content, patch } ready to be written.
+function encodeVersion(previousContent, content, patchesSinceSnapshot) {
+  if (previousContent === null || previousContent === undefined || patchesSinceSnapshot >= KEYFRAME_INTERVAL - 1) {
+    return { isSnapshot: true, content, patch: null };
+  }
+
+  const patch = createPatch(previousContent, content);
+  // A patch that rewrites most of the document is no smaller than a snapshot
+  if (patch[2].length > content.length / 2 && content.length > 0) {
+    return { isSnapshot: true, content, patch: null };
+  }
+  return { isSnapshot: false, content: null, patch };
+}
+
+// Rebuild the content of every version in a chain ordered oldest first.
+// The chain must start with a snapshot.
+function decodeChain(rows) {
+  const contents = [];
+  let content = null;
+  for (const row of rows) {
+    if (row.isSnapshot) {
+      content = row.content || '';
+    } else {
+      if (content === null) {
+        throw new Error(`Version ${row.id} has no snapshot to apply its patch to`);
+      }
+      content = applyPatch(content, row.patch);
+    }
+    contents.push(content);
+  }
+  return contents;
+}
+
+module.exports = {
+  KEYFRAME_INTERVAL,
+  createPatch,
+  applyPatch,
+  encodeVersion,
+  decodeChain
+};
@@ -0,0 +1,105 @@
+const sequelize = require('../config/database');
+const { Document, DocumentVersion } = require('../models/Document');
+const versionStore = require('./versionStore');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Retention policy, configurable through the environment:
+// keep every version for VERSION_KEEP_ALL_HOURS, then one per hour until
+// VERSION_HOURLY_DAYS old, then one per day
+function getRetentionPolicy() {
+  return {
+    keepAllHours: Number(process.env.VERSION_KEEP_ALL_HOURS || 24),
+    hourlyDays: Number(process.env.VERSION_HOURLY_DAYS || 7)
+  };
+}
+
+// Named versions, explicit saves, reverts and imports are never squashed
+function isProtected(version) {
+  return version.kind !== 'autosave' || Boolean(version.name);
+}
+
+// Pick the autosaves to squash from a document's versions (oldest first).
+// The latest autosave in each hourly or daily bucket is kept, as is the
+// most recent version overall.
+function selectVersionsToSquash(versions, policy, now = new Date()) {
+  const keepAllSince = now.getTime() - policy.keepAllHours * HOUR;
+  const hourlySince = now.getTime() - policy.hourlyDays * DAY;
+  const latest = versions[versions.length - 1];
+
+  const buckets = new Map();
+  for (const version of versions) {
+    const time = new Date(version.createdAt).getTime();
+    if (version === latest || isProtected(version) || time >= keepAllSince) {
+      continue;
+    }
+
+    const key = time >= hourlySince ? `hour-${Math.floor(time / HOUR)}` : `day-${Math.floor(time / DAY)}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+    buckets.get(key).push(version);
+  }
+
+  const squashed = [];
+  buckets.forEach((bucket) => {
+    squashed.push(...bucket.slice(0, -1));
+  });
+  return squashed;
+}
+
+// Apply the retention policy to one document. Returns the number of rows squashed.
+async function pruneDocumentVersions(documentId, policy = getRetentionPolicy(), now = new Date()) {
+  return sequelize.transaction(async (transaction) => {
+    // Serialize pruning of the same document
+    const document = await Document.findByPk(documentId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!document) {
+      return 0;
+    }
+
+    const versions = await DocumentVersion.findAll({
+      where: { documentId },
+      attributes: ['id', 'kind', 'name', 'createdAt'],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    const squash = selectVersionsToSquash(versions, policy, now);
+    if (squash.length === 0) {
+      return 0;
+    }
+
+    // currentVersion is a sequence number, not a row count, so it stays as it
+    // is; lowering it would reuse numbers that clients hold for older content
+    return versionStore.deleteVersions(documentId, squash.map(v => v.id), { transaction });
+  });
+}
+
+// Apply the retention policy to every document.
+// Returns [{ documentId, squashed }] for documents that had rows squashed.
+async function pruneAllDocuments(policy = getRetentionPolicy()) {
+  const documents = await Document.findAll({ attributes: ['id'], order: [['id', 'ASC']] });
+  const report = [];
+
+  for (const { id } of documents) {
+    try {
+      const squashed = await pruneDocumentVersions(id, policy);
+      if (squashed > 0) {
+        report.push({ documentId: id, squashed });
+      }
+    } catch (error) {
+      console.error(`❌ Error pruning versions of document ${id}:`, error);
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  getRetentionPolicy,
+  isProtected,
+  selectVersionsToSquash,
+  pruneDocumentVersions,
+  pruneAllDocuments
+};
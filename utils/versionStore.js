@@ -0,0 +1,188 @@
+const { Op } = require('sequelize');
+const { DocumentVersion } = require('../models/Document');
+const { encodeVersion, decodeChain } = require('./versionPatch');
+const { toPlainText } = require('./richText');
+
+// Versions are stored as a full snapshot followed by patches, each against
+// the previous version in id order. These helpers hide that from callers:
+// versions they return always carry their full `content`. The module itself
+// stores document versions; createVersionStore() does the same for other
+// versioned content such as templates.
+
+// Fill in `content` on a complete list of versions of one owner
+function hydrateVersions(versions) {
+  const chain = [...versions].sort((a, b) => a.id - b.id);
+  const contents = decodeChain(chain);
+  chain.forEach((version, i) => version.setDataValue('content', contents[i]));
+  return versions;
+}
+
+// Patch rows have no content for the database to index, so the search
+// vector is computed here from the full text
+async function indexVersion(id, content, transaction) {
+  await DocumentVersion.sequelize.query(
+    `UPDATE document_versions SET "searchVector" = to_tsvector('english', :content) WHERE id = :id`,
+    { replacements: { id, content: content || '' }, transaction }
+  );
+}
+
+// Version storage for `Model`, whose rows belong to the row in `ownerKey`
+// (documentId for document versions, templateId for template versions).
+// `onCreate(version, content, transaction)` runs after each new version.
+function createVersionStore(Model, ownerKey, { onCreate } = {}) {
+  // The latest snapshot and every patch stored after it, oldest first
+  async function loadChainTail(ownerId, transaction) {
+    const snapshot = await Model.findOne({
+      where: { [ownerKey]: ownerId, isSnapshot: true },
+      order: [['id', 'DESC']],
+      transaction
+    });
+
+    if (!snapshot) {
+      return [];
+    }
+
+    return Model.findAll({
+      where: { [ownerKey]: ownerId, id: { [Op.gte]: snapshot.id } },
+      order: [['id', 'ASC']],
+      transaction
+    });
+  }
+
+  // All versions of an owner ordered by createdAt, with content rebuilt
+  async function loadVersions(ownerId, options = {}) {
+    const versions = await Model.findAll({
+      where: { [ownerKey]: ownerId },
+      include: options.include,
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction: options.transaction
+    });
+    return hydrateVersions(versions);
+  }
+
+  // Content of some versions of an owner, as Map(id -> content). Only the
+  // rows from each version's snapshot up to it are read.
+  async function loadVersionContents(ownerId, ids, options = {}) {
+    const wanted = [...new Set(ids)].sort((a, b) => a - b);
+    const contents = new Map();
+    if (wanted.length === 0) {
+      return contents;
+    }
+
+    const snapshots = await Model.findAll({
+      where: { [ownerKey]: ownerId, isSnapshot: true, id: { [Op.lte]: wanted[wanted.length - 1] } },
+      attributes: ['id'],
+      order: [['id', 'ASC']],
+      transaction: options.transaction
+    });
+
+    // Versions grouped by the snapshot their chain starts from
+    const chains = new Map();
+    let snapshot = 0;
+    for (const id of wanted) {
+      while (snapshot < snapshots.length - 1 && snapshots[snapshot + 1].id <= id) {
+        snapshot++;
+      }
+      if (snapshots.length === 0 || snapshots[snapshot].id > id) {
+        continue;
+      }
+      const start = snapshots[snapshot].id;
+      if (!chains.has(start)) {
+        chains.set(start, []);
+      }
+      chains.get(start).push(id);
+    }
+
+    for (const [start, chainIds] of chains) {
+      const rows = await Model.findAll({
+        where: { [ownerKey]: ownerId, id: { [Op.between]: [start, chainIds[chainIds.length - 1]] } },
+        order: [['id', 'ASC']],
+        transaction: options.transaction
+      });
+      const decoded = decodeChain(rows);
+      rows.forEach((row, i) => {
+        if (chainIds.includes(row.id)) {
+          contents.set(row.id, decoded[i]);
+        }
+      });
+    }
+    return contents;
+  }
+
+  // The most recent version with its content, or null
+  async function getLatestVersion(ownerId, options = {}) {
+    const tail = await loadChainTail(ownerId, options.transaction);
+    if (tail.length === 0) {
+      return null;
+    }
+    hydrateVersions(tail);
+    return tail[tail.length - 1];
+  }
+
+  // Store a new version, as a patch against the latest one when that is smaller
+  async function createVersion(fields, options = {}) {
+    const tail = await loadChainTail(fields[ownerKey], options.transaction);
+    const previousContent = tail.length > 0 ? decodeChain(tail)[tail.length - 1] : null;
+    const encoded = encodeVersion(previousContent, fields.content, tail.length - 1);
+
+    const version = await Model.create({ ...fields, ...encoded }, { transaction: options.transaction });
+    if (onCreate) {
+      await onCreate(version, fields.content, options.transaction);
+    }
+    version.setDataValue('content', fields.content);
+    return version;
+  }
+
+  // Delete versions by id and re-encode the remaining chain so every patch
+  // still applies to the version before it
+  async function deleteVersions(ownerId, ids, options = {}) {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const versions = await loadVersions(ownerId, { transaction: options.transaction });
+    const remaining = versions
+      .filter(version => !ids.includes(version.id))
+      .sort((a, b) => a.id - b.id);
+
+    const deleted = await Model.destroy({
+      where: { [ownerKey]: ownerId, id: ids },
+      transaction: options.transaction
+    });
+
+    let previousContent = null;
+    let patchesSinceSnapshot = -1;
+    for (const version of remaining) {
+      const encoded = encodeVersion(previousContent, version.content, patchesSinceSnapshot);
+      patchesSinceSnapshot = encoded.isSnapshot ? 0 : patchesSinceSnapshot + 1;
+      previousContent = version.content;
+
+      const unchanged = encoded.isSnapshot === version.isSnapshot &&
+        JSON.stringify(encoded.patch) === JSON.stringify(version.patch);
+      if (!unchanged) {
+        await Model.update(encoded, {
+          where: { id: version.id },
+          transaction: options.transaction
+        });
+      }
+    }
+
+    return deleted;
+  }
+
+  return {
+    hydrateVersions,
+    loadVersions,
+    loadVersionContents,
+    getLatestVersion,
+    createVersion,
+    deleteVersions
+  };
+}
+
+module.exports = {
+  ...createVersionStore(DocumentVersion, 'documentId', {
+    onCreate: (version, content, transaction) => indexVersion(version.id, toPlainText(version.format, content), transaction)
+  }),
+  createVersionStore
+};
@@ -0,0 +1,349 @@
+const { Op } = require('sequelize');
+const { Document, DocumentCollaborator } = require('../models/Document');
+const { Workspace, WorkspaceMember, Folder, FolderMember } = require('../models/Workspace');
+const { highestRole } = require('./permissions');
+const { getDocumentMembers, fetchCollaborators } = require('./collaborators');
+const documentEvents = require('./documentEvents');
+const lobby = require('./lobby');
+
+// Folder ids of the given folders and everything below them
+function withDescendants(folderIds, folders) {
+  const children = new Map();
+  folders.forEach((folder) => {
+    if (!children.has(folder.parentId)) {
+      children.set(folder.parentId, []);
+    }
+    children.get(folder.parentId).push(folder.id);
+  });
+
+  const result = new Set();
+  const queue = [...folderIds];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (result.has(id)) {
+      continue;
+    }
+    result.add(id);
+    queue.push(...(children.get(id) || []));
+  }
+  return Array.from(result);
+}
+
+// Ids of every document a user can read: their own collaborations plus
+// documents in workspaces and folders they belong to
+async function accessibleDocumentIds(userId) {
+  const [collaborations, workspaceMemberships, folderMemberships] = await Promise.all([
+    DocumentCollaborator.findAll({ where: { userId }, attributes: ['documentId'] }),
+    WorkspaceMember.findAll({ where: { userId }, attributes: ['workspaceId'] }),
+    FolderMember.findAll({ where: { userId }, attributes: ['folderId'] })
+  ]);
+
+  const ids = new Set(collaborations.map(c => c.documentId));
+  const workspaceIds = workspaceMemberships.map(m => m.workspaceId);
+
+  let folderIds = [];
+  if (folderMemberships.length > 0) {
+    const memberFolders = await Folder.findAll({
+      where: { id: folderMemberships.map(m => m.folderId) },
+      attributes: ['workspaceId']
+    });
+    const folders = await Folder.findAll({
+      where: { workspaceId: memberFolders.map(f => f.workspaceId) },
+      attributes: ['id', 'parentId']
+    });
+    folderIds = withDescendants(folderMemberships.map(m => m.folderId), folders);
+  }
+
+  if (workspaceIds.length > 0 || folderIds.length > 0) {
+    const inherited = await Document.findAll({
+      where: { [Op.or]: [{ workspaceId: workspaceIds }, { folderId: folderIds }] },
+      attributes: ['id']
+    });
+    inherited.forEach(document => ids.add(document.id));
+  }
+
+  return Array.from(ids);
+}
+
+// ?workspaceId= and ?folderId= filters of a request. Returns { values } with
+// the ids given, as integers, or { error }.
+function parseContainerQuery(query) {
+  const values = {};
+  for (const name of ['workspaceId', 'folderId']) {
+    if (query[name] === undefined || query[name] === '') {
+      continue;
+    }
+    const id = Number(query[name]);
+    if (!Number.isInteger(id) || id < 1) {
+      return { error: `${name} must be a positive integer` };
+    }
+    values[name] = id;
+  }
+  return { values };
+}
+
+// Documents in a folder and its subfolders, or in the whole workspace when folderId is null
+async function documentsInContainer(workspaceId, folderId) {
+  if (!folderId) {
+    const documents = await Document.findAll({ where: { workspaceId }, attributes: ['id'] });
+    return documents.map(document => document.id);
+  }
+
+  const folders = await Folder.findAll({ where: { workspaceId }, attributes: ['id', 'parentId'] });
+  const documents = await Document.findAll({
+    where: { folderId: withDescendants([folderId], folders) },
+    attributes: ['id']
+  });
+  return documents.map(document => document.id);
+}
+
+// Users' roles on each of the documents, worked out together from the
+// collaborator and membership tables like getDocumentRole() does for one:
+// Map(userId -> Map(documentId -> role|null))
+async function documentRoles(documentIds, userIds) {
+  const roles = new Map(userIds.map(userId => [userId, new Map(documentIds.map(id => [id, null]))]));
+  if (documentIds.length === 0 || userIds.length === 0) {
+    return roles;
+  }
+
+  const documents = await Document.findAll({ where: { id: documentIds }, attributes: ['id', 'workspaceId', 'folderId'] });
+  const workspaceIds = [...new Set(documents.map(d => d.workspaceId).filter(Boolean))];
+  const [collaborations, workspaceMembers, folders] = await Promise.all([
+    DocumentCollaborator.findAll({ where: { documentId: documentIds, userId: userIds }, attributes: ['documentId', 'userId', 'role'] }),
+    WorkspaceMember.findAll({ where: { workspaceId: workspaceIds, userId: userIds } }),
+    Folder.findAll({ where: { workspaceId: workspaceIds }, attributes: ['id', 'parentId'] })
+  ]);
+  const folderMembers = await FolderMember.findAll({ where: { folderId: folders.map(f => f.id), userId: userIds } });
+
+  const grant = (documentId, userId, role) => {
+    const userRoles = roles.get(userId);
+    userRoles.set(documentId, highestRole(userRoles.get(documentId), role));
+  };
+  collaborations.forEach(c => grant(c.documentId, c.userId, c.role));
+
+  const parents = new Map(folders.map(f => [f.id, f.parentId]));
+  const byKey = (members, key) => {
+    const map = new Map();
+    members.forEach((member) => {
+      if (!map.has(member[key])) {
+        map.set(member[key], []);
+      }
+      map.get(member[key]).push(member);
+    });
+    return map;
+  };
+  const workspaceRoles = byKey(workspaceMembers, 'workspaceId');
+  const folderRoles = byKey(folderMembers, 'folderId');
+
+  for (const document of documents) {
+    if (!document.workspaceId) {
+      continue;
+    }
+    (workspaceRoles.get(document.workspaceId) || []).forEach(m => grant(document.id, m.userId, m.role));
+    // The document's folder and its ancestors
+    const seen = new Set();
+    for (let id = document.folderId; id && !seen.has(id); id = parents.get(id)) {
+      seen.add(id);
+      (folderRoles.get(id) || []).forEach(m => grant(document.id, m.userId, m.role));
+    }
+  }
+  return roles;
+}
+
+// Tell open editors and document lists about roles that changed through
+// workspace or folder membership. `rolesBefore` comes from documentRoles().
+async function notifyRoleChanges(rolesBefore) {
+  const userIds = Array.from(rolesBefore.keys());
+  const documentIds = [...new Set(userIds.flatMap(userId => Array.from(rolesBefore.get(userId).keys())))];
+  const rolesAfter = await documentRoles(documentIds, userIds);
+  const collaborators = new Map();
+
+  for (const [userId, before] of rolesBefore) {
+    for (const [documentId, previous] of before) {
+      const role = rolesAfter.get(userId).get(documentId);
+      if (role === previous) {
+        continue;
+      }
+
+      if (!collaborators.has(documentId)) {
+        collaborators.set(documentId, await fetchCollaborators(documentId));
+      }
+      documentEvents.emit('collaborator-changed', {
+        documentId,
+        userId,
+        role,
+        collaborators: collaborators.get(documentId)
+      });
+      if (!previous) {
+        await lobby.documentCreated(documentId, { userIds: [userId], reason: 'shared' });
+      } else if (!role) {
+        await lobby.documentDeleted(documentId, [userId], { reason: 'access-revoked' });
+      }
+    }
+  }
+}
+
+// Same for everyone whose access changed because a document moved.
+// `membersBefore` comes from getDocumentMembers().
+async function notifyMoveAccessChanges(documentId, membersBefore) {
+  const before = new Map(membersBefore.map(m => [m.userId, m.role]));
+  const after = new Map((await getDocumentMembers(documentId)).map(m => [m.userId, m.role]));
+  const changed = [...new Set([...before.keys(), ...after.keys()])]
+    .filter(userId => before.get(userId) !== after.get(userId));
+  if (changed.length === 0) {
+    return;
+  }
+
+  const collaborators = await fetchCollaborators(documentId);
+  for (const userId of changed) {
+    documentEvents.emit('collaborator-changed', {
+      documentId,
+      userId,
+      role: after.get(userId) || null,
+      collaborators
+    });
+  }
+
+  const gained = changed.filter(userId => !before.has(userId));
+  const lost = changed.filter(userId => !after.has(userId));
+  if (gained.length > 0) {
+    await lobby.documentCreated(documentId, { userIds: gained, reason: 'shared' });
+  }
+  if (lost.length > 0) {
+    await lobby.documentDeleted(documentId, lost, { reason: 'access-revoked' });
+  }
+}
+
+// Nested folders and documents of a workspace as one user sees them. Folders
+// carry the user's role there (null for folders shown only because something
+// below them is accessible). Returns null if nothing is visible to the user.
+async function buildWorkspaceTree(workspace, userId) {
+  const [workspaceMember, folders, documents] = await Promise.all([
+    WorkspaceMember.findOne({ where: { workspaceId: workspace.id, userId } }),
+    Folder.findAll({ where: { workspaceId: workspace.id }, order: [['name', 'ASC'], ['id', 'ASC']] }),
+    Document.findAll({
+      where: { workspaceId: workspace.id },
+      attributes: ['id', 'title', 'tags', 'folderId', 'currentVersion', 'updatedAt'],
+      order: [['title', 'ASC'], ['id', 'ASC']]
+    })
+  ]);
+
+  const [folderMembers, collaborations] = await Promise.all([
+    FolderMember.findAll({ where: { folderId: folders.map(f => f.id), userId } }),
+    DocumentCollaborator.findAll({ where: { documentId: documents.map(d => d.id), userId } })
+  ]);
+  const folderRoles = new Map(folderMembers.map(m => [m.folderId, m.role]));
+  const directRoles = new Map(collaborations.map(c => [c.documentId, c.role]));
+
+  const visibleDocuments = (folderId, role) => documents
+    .filter(document => document.folderId === folderId)
+    .map(document => ({ document, role: highestRole(role, directRoles.get(document.id)) }))
+    .filter(entry => entry.role)
+    .map(({ document, role: documentRole }) => ({ ...document.toJSON(), role: documentRole }));
+
+  const visit = (parentId, inheritedRole) => folders
+    .filter(folder => folder.parentId === parentId)
+    .map((folder) => {
+      const role = highestRole(inheritedRole, folderRoles.get(folder.id));
+      return {
+        id: folder.id,
+        name: folder.name,
+        parentId: folder.parentId,
+        role,
+        folders: visit(folder.id, role),
+        documents: visibleDocuments(folder.id, role)
+      };
+    })
+    .filter(node => node.role || node.folders.length > 0 || node.documents.length > 0);
+
+  const role = workspaceMember ? workspaceMember.role : null;
+  const tree = {
+    id: workspace.id,
+    name: workspace.name,
+    description: workspace.description,
+    role,
+    folders: visit(null, role),
+    documents: visibleDocuments(null, role)
+  };
+
+  if (!role && tree.folders.length === 0 && tree.documents.length === 0) {
+    return null;
+  }
+  return tree;
+}
+
+// Workspaces a user can see something in, with their workspace role (null
+// when they only belong to folders or documents inside it)
+async function listVisibleWorkspaces(userId) {
+  const [memberships, documentIds, folderMemberships] = await Promise.all([
+    WorkspaceMember.findAll({ where: { userId } }),
+    accessibleDocumentIds(userId),
+    FolderMember.findAll({ where: { userId }, include: [{ model: Folder, attributes: ['workspaceId'] }] })
+  ]);
+
+  const roles = new Map(memberships.map(m => [m.workspaceId, m.role]));
+  folderMemberships.forEach((member) => {
+    if (member.Folder && !roles.has(member.Folder.workspaceId)) {
+      roles.set(member.Folder.workspaceId, null);
+    }
+  });
+  const documents = await Document.findAll({
+    where: { id: documentIds, workspaceId: { [Op.ne]: null } },
+    attributes: ['workspaceId']
+  });
+  documents.forEach((document) => {
+    if (!roles.has(document.workspaceId)) {
+      roles.set(document.workspaceId, null);
+    }
+  });
+
+  const workspaces = await Workspace.findAll({
+    where: { id: Array.from(roles.keys()) },
+    order: [['name', 'ASC'], ['id', 'ASC']]
+  });
+  return workspaces.map(workspace => ({ ...workspace.toJSON(), role: roles.get(workspace.id) }));
+}
+
+// Where each document lives, as names from the workspace down to its
+// folder: Map(documentId -> ['Design Team', 'Specs', '2024']). Documents
+// outside any workspace get an empty path.
+async function documentPaths(documents) {
+  const workspaceIds = [...new Set(documents.map(d => d.workspaceId).filter(Boolean))];
+  const [workspaces, folders] = await Promise.all([
+    Workspace.findAll({ where: { id: workspaceIds }, attributes: ['id', 'name'] }),
+    Folder.findAll({ where: { workspaceId: workspaceIds }, attributes: ['id', 'parentId', 'name'] })
+  ]);
+  const workspaceNames = new Map(workspaces.map(w => [w.id, w.name]));
+  const foldersById = new Map(folders.map(f => [f.id, f]));
+
+  const folderPath = (folderId) => {
+    const names = [];
+    const seen = new Set();
+    let folder = foldersById.get(folderId);
+    while (folder && !seen.has(folder.id)) {
+      seen.add(folder.id);
+      names.unshift(folder.name);
+      folder = foldersById.get(folder.parentId);
+    }
+    return names;
+  };
+
+  return new Map(documents.map(document => [
+    document.id,
+    document.workspaceId
+      ? [workspaceNames.get(document.workspaceId), ...folderPath(document.folderId)].filter(Boolean)
+      : []
+  ]));
+}
+
+module.exports = {
+  accessibleDocumentIds,
+  parseContainerQuery,
+  documentsInContainer,
+  documentRoles,
+  notifyRoleChanges,
+  notifyMoveAccessChanges,
+  buildWorkspaceTree,
+  listVisibleWorkspaces,
+  documentPaths
+};